@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const config = require('./config');
+const logger = require('./logger');
+const { createNotifier } = require('./alert-notifiers');
+const { sendJSON } = require('./http-router');
+
+/**
+ * Threshold alerting engine
+ *
+ * Each rule watches one field, optionally scoped to a sensor_id and/or location.
+ * Every (rule, sensor) pair is a series with its own state:
+ *   ok -> pending (threshold crossed) -> firing (still crossed after `duration`)
+ *   firing -> ok (value back past the hysteresis band) => resolved notification
+ * Firing notifications are sent once per episode and at most once per `cooldown`.
+ */
+class AlertEngine extends EventEmitter {
+    constructor() {
+        super();
+        this.rules = [];
+        this.notifiers = new Map();
+        this.series = new Map();
+        this.resolved = [];
+        this.maxResolved = 100;
+    }
+
+    /**
+     * Load rules and channels from the configured rules file
+     * @param {string} file - Path to the JSON rules file
+     * @returns {boolean} - true if alerting is enabled
+     */
+    load(file = config.alerts.rulesFile) {
+        const rulesPath = path.resolve(file);
+
+        if (!fs.existsSync(rulesPath)) {
+            logger.info('No alert rules file found, alerting disabled', { file: rulesPath });
+            this.rules = [];
+            return false;
+        }
+
+        const definition = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+        this.notifiers.clear();
+        const channels = { log: {}, ...(definition.channels || {}) };
+        for (const [name, options] of Object.entries(channels)) {
+            this.notifiers.set(name, createNotifier(name, options));
+        }
+
+        this.rules = (definition.rules || []).map(rule => this.normalizeRule(rule));
+        this.series.clear();
+
+        logger.info('Alert rules loaded', {
+            file: rulesPath,
+            rules: this.rules.length,
+            channels: [...this.notifiers.keys()],
+        });
+        return this.rules.length > 0;
+    }
+
+    /**
+     * Validate a rule definition and fill in defaults
+     * @param {Object} rule
+     * @returns {Object}
+     */
+    normalizeRule(rule) {
+        if (!rule.id || !rule.field || typeof rule.threshold !== 'number') {
+            throw new Error(`Alert rule requires id, field and numeric threshold: ${JSON.stringify(rule)}`);
+        }
+
+        const operator = rule.operator || '>';
+        if (!['>', '>=', '<', '<='].includes(operator)) {
+            throw new Error(`Alert rule ${rule.id} has invalid operator: ${operator}`);
+        }
+
+        const channels = rule.channels || ['log'];
+        for (const channel of channels) {
+            if (!this.notifiers.has(channel)) {
+                throw new Error(`Alert rule ${rule.id} uses unknown channel: ${channel}`);
+            }
+        }
+
+        return {
+            id: rule.id,
+            field: rule.field,
+            sensor_id: rule.sensor_id || null,
+            location: rule.location || null,
+            operator,
+            threshold: rule.threshold,
+            hysteresis: rule.hysteresis || 0,
+            duration: (rule.duration || 0) * 1000,
+            cooldown: (rule.cooldown || 0) * 1000,
+            severity: rule.severity || 'warning',
+            message: rule.message || null,
+            channels,
+        };
+    }
+
+    /**
+     * Evaluate a validated reading against all rules
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - { sensor_id, location, device_type }
+     * @param {number} now - Evaluation time (ms)
+     */
+    evaluate(data, identity = {}, now = Date.now()) {
+        for (const rule of this.rules) {
+            if (rule.sensor_id && rule.sensor_id !== identity.sensor_id) continue;
+            if (rule.location && rule.location !== identity.location) continue;
+
+            const value = data[rule.field];
+            if (typeof value !== 'number') continue;
+
+            this.evaluateSeries(rule, identity, value, now);
+        }
+    }
+
+    /**
+     * Advance the state machine of one (rule, sensor) series
+     */
+    evaluateSeries(rule, identity, value, now) {
+        const key = `${rule.id}:${identity.sensor_id}`;
+        let state = this.series.get(key);
+        if (!state) {
+            state = {
+                key,
+                ruleId: rule.id,
+                sensor_id: identity.sensor_id,
+                location: identity.location,
+                state: 'ok',
+                since: null,
+                firedAt: null,
+                lastNotifiedAt: null,
+                suppressed: false,
+                value: null,
+            };
+            this.series.set(key, state);
+        }
+
+        state.value = value;
+        state.location = identity.location;
+
+        if (state.state === 'firing') {
+            if (this.isCleared(rule, value)) {
+                this.resolve(rule, state, now);
+            }
+            return;
+        }
+
+        if (!this.isBreached(rule, value)) {
+            state.state = 'ok';
+            state.since = null;
+            return;
+        }
+
+        if (state.state === 'ok') {
+            state.state = 'pending';
+            state.since = now;
+        }
+
+        if (now - state.since >= rule.duration) {
+            this.fire(rule, state, now);
+        }
+    }
+
+    /**
+     * Check whether a value crosses the rule threshold
+     */
+    isBreached(rule, value) {
+        switch (rule.operator) {
+            case '>': return value > rule.threshold;
+            case '>=': return value >= rule.threshold;
+            case '<': return value < rule.threshold;
+            case '<=': return value <= rule.threshold;
+            default: return false;
+        }
+    }
+
+    /**
+     * Check whether a firing value is back past the hysteresis band
+     */
+    isCleared(rule, value) {
+        if (rule.operator === '>' || rule.operator === '>=') {
+            return value < rule.threshold - rule.hysteresis;
+        }
+        return value > rule.threshold + rule.hysteresis;
+    }
+
+    /**
+     * Move a series to firing and notify unless still cooling down
+     */
+    fire(rule, state, now) {
+        state.state = 'firing';
+        state.firedAt = now;
+
+        if (state.lastNotifiedAt !== null && now - state.lastNotifiedAt < rule.cooldown) {
+            state.suppressed = true;
+            logger.info('Alert firing suppressed by cooldown', { rule: rule.id, sensor_id: state.sensor_id });
+            return;
+        }
+
+        state.suppressed = false;
+        state.lastNotifiedAt = now;
+        this.notify(rule, this.toAlert(rule, state, 'firing', now));
+    }
+
+    /**
+     * Move a firing series back to ok and notify the resolution
+     */
+    resolve(rule, state, now) {
+        const alert = this.toAlert(rule, state, 'resolved', now);
+
+        state.state = 'ok';
+        state.since = null;
+        state.firedAt = null;
+
+        this.resolved.unshift(alert);
+        this.resolved.length = Math.min(this.resolved.length, this.maxResolved);
+
+        // A firing that was never announced is not announced as resolved either
+        if (!state.suppressed) {
+            this.notify(rule, alert);
+        }
+    }
+
+    /**
+     * Build the alert payload for a series
+     */
+    toAlert(rule, state, status, now) {
+        const alert = {
+            id: state.key,
+            rule_id: rule.id,
+            status,
+            severity: rule.severity,
+            field: rule.field,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            value: state.value,
+            sensor_id: state.sensor_id,
+            location: state.location,
+            pending_since: state.since ? new Date(state.since).toISOString() : null,
+            fired_at: state.firedAt ? new Date(state.firedAt).toISOString() : null,
+            resolved_at: status === 'resolved' ? new Date(now).toISOString() : null,
+        };
+        alert.message = rule.message
+            || `${rule.field} ${status === 'firing' ? rule.operator : 'back within'} ${rule.threshold} on ${state.sensor_id} (value ${state.value})`;
+        return alert;
+    }
+
+    /**
+     * Send an alert to every channel of its rule
+     */
+    notify(rule, alert) {
+        this.emit(alert.status, alert);
+
+        for (const channel of rule.channels) {
+            this.notifiers.get(channel).send(alert).catch(error => {
+                logger.error('Alert notification failed', {
+                    channel,
+                    rule: rule.id,
+                    error: error.message,
+                });
+            });
+        }
+    }
+
+    /**
+     * Currently pending or firing alerts
+     * @returns {Array<Object>}
+     */
+    activeAlerts() {
+        const rules = new Map(this.rules.map(rule => [rule.id, rule]));
+        return [...this.series.values()]
+            .filter(state => state.state !== 'ok')
+            .map(state => this.toAlert(rules.get(state.ruleId), state, state.state, Date.now()));
+    }
+
+    /**
+     * Register alert routes on the router
+     * @param {Router} router
+     */
+    register(router) {
+        router.get('/api/v1/alerts', (req, res) => {
+            const body = { active: this.activeAlerts() };
+            if (req.query.get('include') === 'resolved') {
+                body.resolved = this.resolved;
+            }
+            sendJSON(res, 200, body);
+        });
+
+        router.get('/api/v1/alerts/rules', (req, res) => {
+            sendJSON(res, 200, { rules: this.rules });
+        });
+    }
+
+    /**
+     * Close notifier connections
+     */
+    async close() {
+        for (const notifier of this.notifiers.values()) {
+            await notifier.close();
+        }
+    }
+}
+
+module.exports = new AlertEngine();
@@ -0,0 +1,165 @@
+const http = require('http');
+const https = require('https');
+const mqtt = require('mqtt');
+const config = require('./config');
+const logger = require('./logger');
+const { connectionOptions } = require('./mqtt-options');
+
+/**
+ * Replace {name} placeholders with alert fields
+ * @param {string} template
+ * @param {Object} alert
+ * @returns {string}
+ */
+function renderTemplate(template, alert) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (
+        alert[key] !== undefined && alert[key] !== null ? String(alert[key]) : match
+    ));
+}
+
+/**
+ * Writes alerts to the application log
+ */
+class LogNotifier {
+    async send(alert) {
+        const level = alert.status === 'firing' && alert.severity === 'critical' ? 'error' : 'warn';
+        logger[level](`Alert ${alert.status}: ${alert.message}`, { alert });
+    }
+
+    async close() {}
+}
+
+/**
+ * POSTs alerts as JSON to an HTTP(S) webhook
+ */
+class WebhookNotifier {
+    /**
+     * @param {Object} options - { url, headers, timeout }
+     */
+    constructor(options) {
+        if (!options.url) {
+            throw new Error('Webhook channel requires a url');
+        }
+        this.url = new URL(options.url);
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 5000;
+    }
+
+    send(alert) {
+        const body = JSON.stringify(alert);
+        const transport = this.url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(this.url, {
+                method: 'POST',
+                timeout: this.timeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    ...this.headers,
+                },
+            }, (res) => {
+                res.resume();
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`Webhook responded with status ${res.statusCode}`));
+                }
+            });
+
+            req.on('timeout', () => req.destroy(new Error('Webhook request timed out')));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    async close() {}
+}
+
+/**
+ * Publishes alerts to an MQTT topic over a dedicated connection
+ */
+class MqttNotifier {
+    /**
+     * @param {Object} options - { url, username, password, tls, topic, qos, retain }
+     */
+    constructor(options) {
+        if (options.tls && !options.url) {
+            throw new Error('Alert MQTT channel: tls requires a url');
+        }
+        this.url = options.url || config.mqtt.url;
+        this.topic = options.topic || 'alerts/{sensor_id}/{rule_id}';
+        this.qos = options.qos !== undefined ? options.qos : 1;
+        this.retain = options.retain === true;
+        this.client = null;
+
+        try {
+            // Another broker gets the channel's own credentials and TLS files
+            this.connection = connectionOptions(this.url, {
+                clientId: `iot-monitoring-alerts-${process.pid}`,
+            }, options.url ? options : null);
+        } catch (error) {
+            throw new Error(`Alert MQTT channel: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lazily connect on first use
+     * @returns {mqtt.MqttClient}
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = mqtt.connect(this.url, this.connection);
+            this.client.on('error', (error) => {
+                logger.error('Alert MQTT connection error', { error: error.message });
+            });
+        }
+        return this.client;
+    }
+
+    send(alert) {
+        const topic = renderTemplate(this.topic, alert);
+
+        return new Promise((resolve, reject) => {
+            this.getClient().publish(topic, JSON.stringify(alert), {
+                qos: this.qos,
+                retain: this.retain,
+            }, (error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    close() {
+        if (!this.client) return Promise.resolve();
+        return new Promise(resolve => this.client.end(false, {}, () => resolve()));
+    }
+}
+
+/**
+ * Create a notifier for a channel
+ * The channel name selects the type unless options.type is given
+ * @param {string} name - Channel name
+ * @param {Object} options - Channel options from the rules file
+ * @returns {Object} - Notifier with send(alert) and close()
+ */
+function createNotifier(name, options = {}) {
+    const type = options.type || name;
+
+    switch (type) {
+        case 'log':
+            return new LogNotifier();
+        case 'webhook':
+            return new WebhookNotifier(options);
+        case 'mqtt':
+            return new MqttNotifier(options);
+        default:
+            throw new Error(`Unknown alert channel type: ${type}`);
+    }
+}
+
+module.exports = {
+    createNotifier,
+    renderTemplate,
+    LogNotifier,
+    WebhookNotifier,
+    MqttNotifier,
+};
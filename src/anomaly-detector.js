@@ -0,0 +1,175 @@
+const config = require('./config');
+const logger = require('./logger');
+const sensorSchemas = require('./sensor-schemas');
+
+/**
+ * Streaming per-device anomaly detector
+ *
+ * Keeps a rolling window per sensor and field and flags:
+ * - spike:    |z-score| against the rolling window above the threshold
+ * - rate:     change per minute above the field's configured maximum
+ * - flatline: the same value reported for too long
+ * - dropout:  a gap since the device's previous reading
+ * Readings are never dropped; the result is tagged on the written point.
+ */
+class AnomalyDetector {
+    constructor() {
+        this.options = config.anomaly;
+        this.devices = new Map();
+    }
+
+    /**
+     * Check a reading and update the device state
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - { sensor_id, location, device_type }
+     * @param {Date} timestamp - Reading time
+     * @returns {Object} - { quality: 'good' | 'suspect', anomalies: [{ type, field, value, score, threshold }] }
+     */
+    check(data, identity, timestamp = new Date()) {
+        const now = timestamp.getTime();
+        const device = this.deviceState(identity.sensor_id);
+        const anomalies = [];
+
+        // Out-of-order readings (e.g. backfills) do not update the rolling state
+        const inOrder = device.lastSeen === null || now >= device.lastSeen;
+
+        if (inOrder && device.lastSeen !== null) {
+            const gap = (now - device.lastSeen) / 1000;
+            if (gap > this.options.dropoutSeconds) {
+                anomalies.push({
+                    type: 'dropout',
+                    field: null,
+                    value: gap,
+                    score: gap / this.options.dropoutSeconds,
+                    threshold: this.options.dropoutSeconds,
+                });
+            }
+        }
+
+        if (inOrder) {
+            for (const field of sensorSchemas.get(identity.device_type).fields) {
+                const value = data[field.name];
+                if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+                anomalies.push(...this.checkField(device, field.name, value, now));
+            }
+            device.lastSeen = now;
+        }
+
+        if (anomalies.length > 0) {
+            logger.warn('Sensor anomaly detected', {
+                sensor_id: identity.sensor_id,
+                anomalies: anomalies.map(a => (a.field ? `${a.type}:${a.field}` : a.type)),
+            });
+        }
+
+        return {
+            quality: anomalies.length > 0 ? 'suspect' : 'good',
+            anomalies,
+        };
+    }
+
+    /**
+     * Run the per-field checks and update the field's rolling window
+     * @param {Object} device
+     * @param {string} name - Field name
+     * @param {number} value
+     * @param {number} now - Reading time in ms
+     * @returns {Array<Object>}
+     */
+    checkField(device, name, value, now) {
+        const anomalies = [];
+        let state = device.fields.get(name);
+        if (!state) {
+            state = { window: [], last: null, lastAt: null, sameSince: now, sameCount: 0 };
+            device.fields.set(name, state);
+        }
+
+        // Rolling z-score against the previous samples
+        if (state.window.length >= this.options.minSamples) {
+            const { mean, stddev } = this.stats(state.window);
+            if (stddev > 0) {
+                const z = Math.abs(value - mean) / stddev;
+                if (z > this.options.zScoreThreshold) {
+                    anomalies.push({
+                        type: 'spike',
+                        field: name,
+                        value,
+                        score: z,
+                        threshold: this.options.zScoreThreshold,
+                    });
+                }
+            }
+        }
+
+        // Rate of change per minute (at least one second between samples)
+        const maxRate = this.options.maxRatePerMinute[name];
+        if (maxRate !== undefined && state.last !== null) {
+            const minutes = Math.max(now - state.lastAt, 1000) / 60000;
+            const rate = Math.abs(value - state.last) / minutes;
+            if (rate > maxRate) {
+                anomalies.push({
+                    type: 'rate',
+                    field: name,
+                    value,
+                    score: rate,
+                    threshold: maxRate,
+                });
+            }
+        }
+
+        // Flatline: identical value for longer than the configured duration
+        if (state.last !== null && value === state.last) {
+            state.sameCount++;
+        } else {
+            state.sameSince = now;
+            state.sameCount = 1;
+        }
+        const stuckSeconds = (now - state.sameSince) / 1000;
+        if (stuckSeconds >= this.options.flatlineSeconds && state.sameCount >= this.options.flatlineMinSamples) {
+            anomalies.push({
+                type: 'flatline',
+                field: name,
+                value,
+                score: stuckSeconds,
+                threshold: this.options.flatlineSeconds,
+            });
+        }
+
+        state.window.push(value);
+        if (state.window.length > this.options.windowSize) {
+            state.window.shift();
+        }
+        state.last = value;
+        state.lastAt = now;
+
+        return anomalies;
+    }
+
+    /**
+     * Mean and population standard deviation
+     * @param {Array<number>} values
+     * @returns {Object}
+     */
+    stats(values) {
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+        return { mean, stddev: Math.sqrt(variance) };
+    }
+
+    /**
+     * State of one device, created on first use
+     * @param {string} sensorId
+     * @returns {Object}
+     */
+    deviceState(sensorId) {
+        let device = this.devices.get(sensorId);
+        if (!device) {
+            device = { lastSeen: null, fields: new Map() };
+            this.devices.set(sensorId, device);
+        }
+        return device;
+    }
+}
+
+module.exports = new AnomalyDetector();
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Manage API keys for the HTTP server
+ *
+ * Usage: node src/api-keys-cli.js <create|list|revoke> [options]   (see --help)
+ *
+ * Changes are written to the key file, which a running service reloads,
+ * and recorded in the audit log.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const os = require('os');
+const { parseArgs } = require('util');
+const apiKeys = require('./api-keys');
+
+const USAGE = `Usage: node src/api-keys-cli.js <command> [options]
+
+Commands:
+  create                     Create a key and print it (it cannot be shown again)
+  list                       List keys
+  revoke <id>                Revoke a key
+
+Options for create:
+  --name <name>              Who or what uses the key (required)
+  --scopes <list>            Comma-separated scopes: read, export, admin (default: read)
+  --rate <n>                 Requests per second (default: API_RATE_LIMIT)
+  --burst <n>                Burst size (default: API_RATE_BURST)
+
+  --json                     Print JSON instead of text
+  -h, --help                 Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv
+ * @returns {Object|null} - Options, or null when help was requested
+ */
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            name: { type: 'string' },
+            scopes: { type: 'string', default: 'read' },
+            rate: { type: 'string' },
+            burst: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help || positionals.length === 0) return null;
+
+    const [command, ...args] = positionals;
+    if (!['create', 'list', 'revoke'].includes(command)) {
+        throw new Error(`Unknown command: ${command}`);
+    }
+    if (command === 'revoke' && args.length !== 1) {
+        throw new Error('revoke expects exactly one key id');
+    }
+
+    const options = {
+        command,
+        id: args[0],
+        json: values.json,
+        key: {
+            name: values.name,
+            scopes: values.scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+        },
+    };
+
+    for (const [option, field] of [['rate', 'rate_limit'], ['burst', 'burst']]) {
+        if (values[option] === undefined) continue;
+        const value = Number(values[option]);
+        if (!(value > 0)) {
+            throw new Error(`--${option} must be a positive number`);
+        }
+        options.key[field] = value;
+    }
+
+    return options;
+}
+
+/**
+ * Audit entry for a change made from the command line
+ * @param {string} action
+ * @param {Object} record
+ */
+function audit(action, record) {
+    apiKeys.audit({
+        actor: 'cli',
+        user: os.userInfo().username,
+        action,
+        target: record.id,
+        target_name: record.name,
+    });
+}
+
+/**
+ * Run a command against the key file
+ * @param {Object} options - Parsed command-line options
+ */
+function run(options) {
+    apiKeys.load();
+
+    switch (options.command) {
+        case 'create': {
+            const { key, record } = apiKeys.create(options.key);
+            audit('create', record);
+            if (options.json) {
+                console.log(JSON.stringify({ ...record, key }, null, 2));
+            } else {
+                console.log(`Created key ${record.id} (${record.name}) with scopes: ${record.scopes.join(', ')}`);
+                console.log(`\n  ${key}\n\nStore it now; only its hash is kept.`);
+            }
+            break;
+        }
+
+        case 'list': {
+            const keys = apiKeys.list();
+            if (options.json) {
+                console.log(JSON.stringify(keys, null, 2));
+            } else if (keys.length === 0) {
+                console.log('No API keys');
+            } else {
+                for (const key of keys) {
+                    const limit = key.rate_limit || key.burst ? `  rate=${key.rate_limit || '-'}/s burst=${key.burst || '-'}` : '';
+                    const status = key.revoked ? `  revoked ${key.revoked_at}` : '';
+                    console.log(`${key.id}  ${key.name}  [${key.scopes.join(',')}]  created ${key.created_at}${limit}${status}`);
+                }
+            }
+            break;
+        }
+
+        case 'revoke': {
+            const record = apiKeys.revoke(options.id);
+            audit('revoke', record);
+            console.log(options.json ? JSON.stringify(record, null, 2) : `Revoked key ${record.id} (${record.name})`);
+            break;
+        }
+    }
+}
+
+function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        run(options);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+main();
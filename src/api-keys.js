@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { HttpError, sendJSON, readJSON } = require('./http-router');
+
+const SCOPES = ['read', 'export', 'admin'];
+const KEY_PATTERN = /^iot_([0-9a-f]{8})_[A-Za-z0-9_-]{32,}$/;
+
+// Routes whose clients (EventSource, browser WebSocket) cannot set headers
+const QUERY_TOKEN_PATHS = ['/api/v1/stream', config.live.path];
+
+/**
+ * API keys for the HTTP server, kept hashed in a local JSON file
+ *
+ * Keys look like iot_<id>_<secret>; only the SHA-256 of the whole key is
+ * stored. Each key has scopes (read, export, admin; admin implies the others)
+ * and its own token bucket. Requests needing the admin scope are appended to
+ * the audit log. The file is reloaded when the api-keys CLI changes it.
+ */
+class ApiKeyStore {
+    constructor() {
+        this.enabled = config.auth.enabled;
+        this.file = config.auth.keysFile;
+        this.auditFile = config.auth.auditFile;
+        this.keys = new Map();
+        this.buckets = new Map();
+    }
+
+    /**
+     * Load keys and watch the file for changes
+     */
+    open() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.load();
+        fs.watchFile(this.file, { interval: 2000, persistent: false }, () => this.reload());
+
+        const active = this.list().filter(key => !key.revoked).length;
+        logger.info('API key store opened', { file: this.file, keys: active, enabled: this.enabled });
+
+        if (this.enabled && active === 0) {
+            logger.warn('API authentication is enabled but no keys exist; only /health is reachable. ' +
+                'Create one with: npm run api-keys -- create --name admin --scopes admin');
+        }
+    }
+
+    /**
+     * Read keys from disk
+     */
+    load() {
+        this.keys.clear();
+        if (!fs.existsSync(this.file)) return;
+
+        const content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const key of content.keys || []) {
+            this.keys.set(key.id, key);
+        }
+    }
+
+    /**
+     * Reload after an outside change, keeping the current keys if the file is unreadable
+     */
+    reload() {
+        const previous = new Map(this.keys);
+        try {
+            this.load();
+            logger.info('API keys reloaded', { keys: this.keys.size });
+        } catch (error) {
+            this.keys = previous;
+            logger.error('Failed to reload API keys', { file: this.file, error: error.message });
+        }
+    }
+
+    /**
+     * Write all keys to disk
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        const content = { keys: [...this.keys.values()] };
+        fs.writeFileSync(tmp, `${JSON.stringify(content, null, 2)}\n`, { mode: 0o600 });
+        fs.renameSync(tmp, this.file);
+    }
+
+    /**
+     * SHA-256 of a key
+     * @param {string} key
+     * @returns {string} - Hex digest
+     */
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * Create a key; the plain key is only available from the return value
+     * @param {Object} options - { name, scopes, rate_limit, burst }
+     * @returns {Object} - { key, record }
+     */
+    create(options) {
+        const record = this.normalize(options);
+
+        let id;
+        do {
+            id = crypto.randomBytes(4).toString('hex');
+        } while (this.keys.has(id));
+
+        const key = `iot_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+        Object.assign(record, { id, hash: this.hash(key), created_at: new Date().toISOString(), revoked_at: null });
+
+        this.keys.set(id, record);
+        this.save();
+        return { key, record: this.describe(record) };
+    }
+
+    /**
+     * Validate key options
+     * @param {Object} options
+     * @returns {Object}
+     */
+    normalize(options) {
+        const name = typeof options.name === 'string' ? options.name.trim() : '';
+        if (!name) {
+            throw new HttpError(400, 'name is required');
+        }
+
+        const scopes = Array.isArray(options.scopes) ? options.scopes : [];
+        const invalid = scopes.filter(scope => !SCOPES.includes(scope));
+        if (scopes.length === 0 || invalid.length > 0) {
+            throw new HttpError(400, `scopes must be a non-empty list of ${SCOPES.join(', ')}`, { invalid });
+        }
+
+        const record = { name, scopes: [...new Set(scopes)] };
+        for (const option of ['rate_limit', 'burst']) {
+            if (options[option] === undefined || options[option] === null) continue;
+            if (typeof options[option] !== 'number' || !(options[option] > 0)) {
+                throw new HttpError(400, `${option} must be a positive number`);
+            }
+            record[option] = options[option];
+        }
+        return record;
+    }
+
+    /**
+     * Revoke a key
+     * @param {string} id
+     * @returns {Object} - Revoked key, without its hash
+     */
+    revoke(id) {
+        const record = this.keys.get(id);
+        if (!record) {
+            throw new HttpError(404, `API key not found: ${id}`);
+        }
+
+        if (!record.revoked_at) {
+            record.revoked_at = new Date().toISOString();
+            this.buckets.delete(id);
+            this.save();
+        }
+        return this.describe(record);
+    }
+
+    /**
+     * All keys, without their hashes
+     * @returns {Array<Object>}
+     */
+    list() {
+        return [...this.keys.values()].map(record => this.describe(record));
+    }
+
+    /**
+     * Public view of a key record
+     * @param {Object} record
+     * @returns {Object}
+     */
+    describe(record) {
+        const view = { ...record, revoked: Boolean(record.revoked_at) };
+        delete view.hash;
+        return view;
+    }
+
+    /**
+     * Scope a route needs, or null for public routes
+     * @param {string} method
+     * @param {string} routePath - Route pattern, e.g. /api/v1/devices/:id
+     * @returns {string|null}
+     */
+    scopeFor(method, routePath) {
+        if (routePath === '/health') return null;
+        if (routePath.startsWith('/api/v1/keys')) return 'admin';
+        if (method !== 'GET') return 'admin';
+        if (routePath === '/api/v1/export') return 'export';
+        return 'read';
+    }
+
+    /**
+     * Key presented with a request: X-API-Key header, bearer token or, where allowed, ?access_token=
+     * @param {http.IncomingMessage} req
+     * @param {URL} url
+     * @returns {string|null}
+     */
+    extractKey(req, url) {
+        if (req.headers['x-api-key']) {
+            return req.headers['x-api-key'];
+        }
+
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        if (match) {
+            return match[1];
+        }
+
+        if (QUERY_TOKEN_PATHS.includes(url.pathname)) {
+            return url.searchParams.get('access_token');
+        }
+        return null;
+    }
+
+    /**
+     * Check a request's key, scope and rate limit
+     * @param {http.IncomingMessage} req
+     * @param {URL} url
+     * @param {string} scope - Required scope
+     * @returns {Object} - Key record
+     * @throws {HttpError} 401, 403 or 429
+     */
+    authorize(req, url, scope) {
+        const key = this.extractKey(req, url);
+        if (!key) {
+            this.reject('missing');
+            throw new HttpError(401, 'API key required', undefined, { 'WWW-Authenticate': 'Bearer' });
+        }
+
+        const record = this.lookup(key);
+        if (!record) {
+            this.reject('invalid');
+            throw new HttpError(401, 'Invalid API key', undefined, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+        }
+
+        const retryAfter = this.consume(record);
+        if (retryAfter > 0) {
+            this.reject('rate_limited');
+            throw new HttpError(429, 'Rate limit exceeded', undefined, { 'Retry-After': String(retryAfter) });
+        }
+
+        if (!record.scopes.includes(scope) && !record.scopes.includes('admin')) {
+            this.reject('scope');
+            throw new HttpError(403, `API key lacks the ${scope} scope`);
+        }
+
+        return record;
+    }
+
+    /**
+     * Active key record matching a plain key
+     * @param {string} key
+     * @returns {Object|null}
+     */
+    lookup(key) {
+        const match = KEY_PATTERN.exec(key);
+        const record = match && this.keys.get(match[1]);
+        if (!record || record.revoked_at) return null;
+
+        const expected = Buffer.from(record.hash, 'hex');
+        const actual = Buffer.from(this.hash(key), 'hex');
+        return crypto.timingSafeEqual(expected, actual) ? record : null;
+    }
+
+    /**
+     * Take one token from a key's bucket
+     * @param {Object} record
+     * @returns {number} - 0 if allowed, otherwise seconds until a token is available
+     */
+    consume(record) {
+        const rate = record.rate_limit || config.auth.rateLimit;
+        const burst = record.burst || config.auth.rateBurst;
+        const now = Date.now();
+
+        let bucket = this.buckets.get(record.id);
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: now };
+            this.buckets.set(record.id, bucket);
+        }
+
+        bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens < 1) {
+            return Math.ceil((1 - bucket.tokens) / rate);
+        }
+        bucket.tokens -= 1;
+        return 0;
+    }
+
+    /**
+     * Count a rejected request
+     * @param {string} reason - missing | invalid | scope | rate_limited
+     */
+    reject(reason) {
+        metrics.authRejections.inc({ reason });
+    }
+
+    /**
+     * Append an entry to the audit log
+     * @param {Object} entry
+     */
+    audit(entry) {
+        try {
+            fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+            fs.appendFileSync(this.auditFile, `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`);
+        } catch (error) {
+            logger.error('Failed to write audit log entry', { file: this.auditFile, error: error.message });
+        }
+    }
+
+    /**
+     * Router middleware: authorizes every route except public ones and audits admin requests
+     * @returns {Function}
+     */
+    middleware() {
+        return (req, res, { url, route }) => {
+            if (!this.enabled) return;
+
+            const scope = this.scopeFor(req.method, route.path);
+            if (!scope) return;
+
+            const record = this.authorize(req, url, scope);
+            req.apiKey = record;
+
+            if (scope === 'admin') {
+                res.on('finish', () => this.audit({
+                    actor: 'api',
+                    key_id: record.id,
+                    key_name: record.name,
+                    method: req.method,
+                    path: url.pathname,
+                    status: res.statusCode,
+                    ip: req.socket.remoteAddress,
+                }));
+            }
+        };
+    }
+
+    /**
+     * Register key management routes on the router
+     * @param {Router} router
+     */
+    register(router) {
+        router.get('/api/v1/keys', (req, res) => {
+            const keys = this.list();
+            sendJSON(res, 200, { data: keys, count: keys.length });
+        });
+
+        router.post('/api/v1/keys', async (req, res) => {
+            const { key, record } = this.create(await readJSON(req));
+            logger.info('API key created', { id: record.id, name: record.name, scopes: record.scopes });
+            sendJSON(res, 201, { ...record, key });
+        });
+
+        router.delete('/api/v1/keys/:id', (req, res) => {
+            const record = this.revoke(req.params.id);
+            logger.info('API key revoked', { id: record.id, name: record.name });
+            res.writeHead(204);
+            res.end();
+        });
+    }
+
+    /**
+     * Stop watching the key file
+     */
+    close() {
+        fs.unwatchFile(this.file);
+    }
+}
+
+module.exports = new ApiKeyStore();
@@ -0,0 +1,199 @@
+const config = require('./config');
+
+/**
+ * US EPA AQI breakpoints (PM2.5 as revised in 2024)
+ * https://www.airnow.gov/aqi/aqi-basics/
+ */
+const US_EPA = {
+    id: 'us_epa',
+    name: 'US EPA',
+    pollutants: {
+        pm2_5: {
+            decimals: 1,
+            breakpoints: [
+                { cLow: 0.0, cHigh: 9.0, iLow: 0, iHigh: 50, category: 'Good' },
+                { cLow: 9.1, cHigh: 35.4, iLow: 51, iHigh: 100, category: 'Moderate' },
+                { cLow: 35.5, cHigh: 55.4, iLow: 101, iHigh: 150, category: 'Unhealthy for Sensitive Groups' },
+                { cLow: 55.5, cHigh: 125.4, iLow: 151, iHigh: 200, category: 'Unhealthy' },
+                { cLow: 125.5, cHigh: 225.4, iLow: 201, iHigh: 300, category: 'Very Unhealthy' },
+                { cLow: 225.5, cHigh: 325.4, iLow: 301, iHigh: 500, category: 'Hazardous' },
+            ],
+        },
+        pm10: {
+            decimals: 0,
+            breakpoints: [
+                { cLow: 0, cHigh: 54, iLow: 0, iHigh: 50, category: 'Good' },
+                { cLow: 55, cHigh: 154, iLow: 51, iHigh: 100, category: 'Moderate' },
+                { cLow: 155, cHigh: 254, iLow: 101, iHigh: 150, category: 'Unhealthy for Sensitive Groups' },
+                { cLow: 255, cHigh: 354, iLow: 151, iHigh: 200, category: 'Unhealthy' },
+                { cLow: 355, cHigh: 424, iLow: 201, iHigh: 300, category: 'Very Unhealthy' },
+                { cLow: 425, cHigh: 604, iLow: 301, iHigh: 500, category: 'Hazardous' },
+            ],
+        },
+    },
+};
+
+/**
+ * Thailand Pollution Control Department AQI breakpoints (PM2.5 as revised in 2023)
+ * The top band is open-ended: cHigh/iHigh are null and the index is extrapolated
+ * with the slope of the band below it.
+ */
+const TH_PCD = {
+    id: 'th_pcd',
+    name: 'Thailand PCD',
+    pollutants: {
+        pm2_5: {
+            decimals: 1,
+            breakpoints: [
+                { cLow: 0.0, cHigh: 15.0, iLow: 0, iHigh: 25, category: 'Very Good' },
+                { cLow: 15.1, cHigh: 25.0, iLow: 26, iHigh: 50, category: 'Good' },
+                { cLow: 25.1, cHigh: 37.5, iLow: 51, iHigh: 100, category: 'Moderate' },
+                { cLow: 37.6, cHigh: 75.0, iLow: 101, iHigh: 200, category: 'Starting to Affect Health' },
+                { cLow: 75.1, cHigh: null, iLow: 201, iHigh: null, category: 'Affecting Health' },
+            ],
+        },
+        pm10: {
+            decimals: 0,
+            breakpoints: [
+                { cLow: 0, cHigh: 50, iLow: 0, iHigh: 25, category: 'Very Good' },
+                { cLow: 51, cHigh: 80, iLow: 26, iHigh: 50, category: 'Good' },
+                { cLow: 81, cHigh: 120, iLow: 51, iHigh: 100, category: 'Moderate' },
+                { cLow: 121, cHigh: 180, iLow: 101, iHigh: 200, category: 'Starting to Affect Health' },
+                { cLow: 181, cHigh: null, iLow: 201, iHigh: null, category: 'Affecting Health' },
+            ],
+        },
+    },
+};
+
+/**
+ * Air Quality Index calculator with pluggable standards
+ * Indices are computed from the instantaneous reading (no 24h averaging)
+ */
+class AQICalculator {
+    constructor() {
+        this.standards = new Map();
+        this.register(US_EPA);
+        this.register(TH_PCD);
+    }
+
+    /**
+     * Register an AQI standard
+     * @param {Object} standard - { id, name, pollutants: { [field]: { decimals, breakpoints } } }
+     */
+    register(standard) {
+        if (!standard || !standard.id || !standard.pollutants) {
+            throw new Error('AQI standard must have an id and pollutants');
+        }
+        this.standards.set(standard.id, standard);
+    }
+
+    /**
+     * Check AQI_STANDARDS once at startup
+     * Throws for unknown standard IDs rather than skipping them on every reading.
+     */
+    validate() {
+        const unknown = config.aqi.standards.filter(id => !this.standards.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown AQI standard: ${unknown.join(', ')} (expected: ${[...this.standards.keys()].join(', ')})`);
+        }
+    }
+
+    /**
+     * Standards enabled in config that are actually registered
+     * @returns {Array<string>}
+     */
+    activeStandards() {
+        return config.aqi.standards.filter(id => this.standards.has(id));
+    }
+
+    /**
+     * Compute AQI for a reading under one standard
+     * @param {Object} data - Validated sensor data
+     * @param {string} standardId
+     * @returns {Object|null} - { standard, aqi, category, dominant, subIndices } or null if no pollutant available
+     */
+    calculate(data, standardId) {
+        const standard = this.standards.get(standardId);
+        if (!standard) {
+            throw new Error(`Unknown AQI standard: ${standardId}`);
+        }
+
+        const subIndices = {};
+        let dominant = null;
+
+        for (const [field, table] of Object.entries(standard.pollutants)) {
+            if (typeof data[field] !== 'number' || isNaN(data[field])) continue;
+
+            const result = this.subIndex(data[field], table);
+            if (!result) continue;
+
+            subIndices[field] = result;
+            if (!dominant || result.index > subIndices[dominant].index) {
+                dominant = field;
+            }
+        }
+
+        if (!dominant) return null;
+
+        return {
+            standard: standard.id,
+            aqi: subIndices[dominant].index,
+            category: subIndices[dominant].category,
+            dominant,
+            subIndices,
+        };
+    }
+
+    /**
+     * Compute AQI for a reading under every active standard
+     * @param {Object} data - Validated sensor data
+     * @returns {Array<Object>}
+     */
+    calculateAll(data) {
+        return this.activeStandards()
+            .map(id => this.calculate(data, id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Linear interpolation of the sub-index within its breakpoint band
+     * @param {number} concentration
+     * @param {Object} table - { decimals, breakpoints }
+     * @returns {Object|null} - { index, category }
+     */
+    subIndex(concentration, table) {
+        if (concentration < 0) return null;
+
+        const factor = Math.pow(10, table.decimals);
+        const c = Math.floor(concentration * factor) / factor;
+        const { breakpoints } = table;
+
+        for (let i = 0; i < breakpoints.length; i++) {
+            const bp = breakpoints[i];
+            const next = breakpoints[i + 1];
+
+            // Values between truncated bands (e.g. 9.05) belong to the lower band
+            if (next && c >= next.cLow) continue;
+
+            if (bp.cHigh === null) {
+                const prev = breakpoints[i - 1];
+                const slope = (prev.iHigh - prev.iLow) / (prev.cHigh - prev.cLow);
+                return {
+                    index: Math.round(bp.iLow + (c - bp.cLow) * slope),
+                    category: bp.category,
+                };
+            }
+
+            const clamped = Math.min(c, bp.cHigh);
+            const index = ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (clamped - bp.cLow) + bp.iLow;
+            return {
+                index: Math.round(index),
+                category: bp.category,
+            };
+        }
+
+        return null;
+    }
+}
+
+module.exports = new AQICalculator();
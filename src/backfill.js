@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+/**
+ * Backfill historical readings from CSV or NDJSON files (e.g. SD-card logs)
+ *
+ * Usage: node src/backfill.js <file> [options]   (see --help)
+ *
+ * Rows are mapped to fields, validated like live messages and written to
+ * the storage sinks with their original timestamps, one flushed batch at a time.
+ */
+
+// Keep per-row log lines out of the progress output unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || (process.argv.includes('--verbose') ? 'info' : 'error');
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const config = require('./config');
+const dataValidator = require('./data-validator');
+const deviceIdentity = require('./device-identity');
+const deviceRegistry = require('./device-registry');
+const messagePipeline = require('./message-pipeline');
+
+const USAGE = `Usage: node src/backfill.js <file> [options]
+
+Options:
+  --format <csv|ndjson>      Input format (default: from the file extension)
+  --map <col=field,...>      Rename columns, e.g. "PM2.5=pm2_5,Temp=temperature,Time=timestamp"
+  --timestamp <column>       Timestamp column (default: timestamp, time, _time, ts or datetime)
+  --utc-offset <+HH:MM>      Offset for timestamps without a zone (default: +00:00)
+  --sensor-id <id>           sensor_id for every row (overrides the file)
+  --location <name>          location for every row (overrides the file)
+  --device-type <type>       device_type for every row (overrides the file)
+  --batch-size <n>           Rows per flushed batch (default: 5000)
+  --resume-from <line>       Skip input lines before this line number
+  --rejects <file>           Write rejected rows as NDJSON to this file
+  --dry-run                  Validate only, do not write anything
+  --verbose                  Show application log output
+  -h, --help                 Show this help`;
+
+const TIMESTAMP_COLUMNS = ['timestamp', 'time', '_time', 'ts', 'datetime'];
+const MAX_EXAMPLES = 10;
+
+/**
+ * Backfill job: reads one file and writes its rows
+ */
+class Backfill {
+    /**
+     * @param {Object} options - Parsed command-line options
+     */
+    constructor(options) {
+        this.options = options;
+        this.stopRequested = false;
+        this.stats = {
+            lines: 0,
+            rows: 0,
+            skipped: 0,
+            written: 0,
+            rejected: 0,
+            byReason: {},
+            examples: [],
+        };
+        this.lastFlushedLine = options.resumeFrom - 1;
+        this.rejectsStream = options.rejects ? fs.createWriteStream(options.rejects) : null;
+        this.writer = null;
+    }
+
+    /**
+     * Run the import
+     * @returns {Promise<number>} - Process exit code
+     */
+    async run() {
+        if (!this.options.dryRun) {
+            // Separate WAL so the CLI never appends to the running service's segments
+            config.wal.dir = `${config.wal.dir}-backfill`;
+            config.batch.size = this.options.batchSize;
+
+            this.writer = require('./sink-manager');
+            const results = await this.writer.connect();
+            const unavailable = Object.keys(results).filter(name => !results[name]);
+            if (unavailable.length > 0) {
+                const health = this.writer.health();
+                for (const name of unavailable) {
+                    const reason = name === 'influxdb' ? `not reachable at ${config.influxdb.url}` : health[name].error;
+                    console.error(`Storage sink ${name} is not available: ${reason}`);
+                }
+                await this.writer.close();
+                return 1;
+            }
+        }
+
+        if (fs.existsSync(config.registry.file)) {
+            deviceRegistry.open();
+        }
+
+        const started = Date.now();
+        let pending = 0;
+        let lastLine = this.lastFlushedLine;
+
+        for await (const { line, row, error } of this.readRows()) {
+            if (this.stopRequested) break;
+
+            if (error) {
+                this.reject(line, null, [error], ['parse_error']);
+            } else {
+                await this.processRow(line, row);
+            }
+            lastLine = line;
+
+            pending++;
+            if (pending >= this.options.batchSize) {
+                await this.flush(lastLine, started);
+                pending = 0;
+            }
+        }
+
+        await this.flush(lastLine, started);
+
+        if (this.rejectsStream) {
+            await new Promise(resolve => this.rejectsStream.end(resolve));
+        }
+
+        const storage = this.writer ? this.writer.health() : {};
+        const walDepth = storage.influxdb ? storage.influxdb.wal.depth : 0;
+        if (this.writer) {
+            await this.writer.close();
+        }
+
+        this.report(walDepth, started);
+        return this.stopRequested ? 2 : 0;
+    }
+
+    /**
+     * Read the input file line by line
+     * @returns {AsyncGenerator<Object>} - { line, row } or { line, error }
+     */
+    async *readRows() {
+        const input = readline.createInterface({
+            input: fs.createReadStream(this.options.file, 'utf8'),
+            crlfDelay: Infinity,
+        });
+
+        let header = null;
+        let line = 0;
+
+        for await (const raw of input) {
+            line++;
+            this.stats.lines = line;
+            const text = line === 1 ? raw.replace(/^\uFEFF/, '') : raw;
+
+            if (this.options.format === 'csv' && header === null) {
+                header = this.parseCSVLine(text).map(column => this.mapColumn(column.trim()));
+                continue;
+            }
+            if (line < this.options.resumeFrom) {
+                this.stats.skipped++;
+                continue;
+            }
+            if (text.trim() === '' || text.startsWith('#')) continue;
+
+            this.stats.rows++;
+
+            if (this.options.format === 'csv') {
+                const values = this.parseCSVLine(text);
+                if (values.length !== header.length) {
+                    yield { line, error: `Expected ${header.length} columns, got ${values.length}` };
+                    continue;
+                }
+                const row = {};
+                header.forEach((column, index) => {
+                    if (values[index] !== '') row[column] = values[index];
+                });
+                yield { line, row };
+            } else {
+                try {
+                    const parsed = JSON.parse(text);
+                    const row = {};
+                    for (const [key, value] of Object.entries(parsed)) {
+                        if (value !== '' && value !== null) row[this.mapColumn(key)] = value;
+                    }
+                    yield { line, row };
+                } catch (error) {
+                    yield { line, error: `Invalid JSON: ${error.message}` };
+                }
+            }
+        }
+    }
+
+    /**
+     * Validate one row and hand it to the writer
+     * @param {number} line
+     * @param {Object} row
+     */
+    async processRow(line, row) {
+        const column = this.timestampColumn(row);
+        if (!column) {
+            this.reject(line, row, ['Missing timestamp'], ['missing_timestamp']);
+            return;
+        }
+        const timestamp = this.parseTimestamp(row[column]);
+        if (!timestamp) {
+            this.reject(line, row, [`Invalid timestamp: ${row[column]}`], ['invalid_timestamp']);
+            return;
+        }
+        const fields = { ...row };
+        delete fields[column];
+        const registration = deviceRegistry.enrich(deviceIdentity.resolve(this.options.identity, fields));
+        const registryRejection = messagePipeline.checkRegistration(registration);
+        if (registryRejection) {
+            this.reject(line, row, registryRejection.errors, registryRejection.reasons);
+            return;
+        }
+
+        const validation = dataValidator.validate(fields, registration.identity.device_type);
+        if (!validation.valid) {
+            this.reject(line, row, validation.errors, validation.reasons);
+            return;
+        }
+
+        if (this.writer) {
+            await this.writer.writeData(validation.data, registration.identity, timestamp);
+        }
+        this.stats.written++;
+    }
+
+    /**
+     * Flush written rows and print progress
+     * @param {number} line - Last line handed to the writer
+     * @param {number} started - Start time in ms
+     */
+    async flush(line, started) {
+        if (this.writer) {
+            await this.writer.flush();
+        }
+        this.lastFlushedLine = line;
+
+        const seconds = (Date.now() - started) / 1000;
+        const rate = seconds > 0 ? Math.round(this.stats.rows / seconds) : this.stats.rows;
+        process.stderr.write(
+            `line ${line}: ${this.stats.written} ${this.options.dryRun ? 'valid' : 'written'}, ` +
+            `${this.stats.rejected} rejected (${rate} rows/s)\n`
+        );
+    }
+
+    /**
+     * Record a rejected row
+     * @param {number} line
+     * @param {Object|null} row
+     * @param {Array<string>} errors
+     * @param {Array<string>} reasons
+     */
+    reject(line, row, errors, reasons) {
+        this.stats.rejected++;
+        for (const reason of reasons) {
+            this.stats.byReason[reason] = (this.stats.byReason[reason] || 0) + 1;
+        }
+        if (this.stats.examples.length < MAX_EXAMPLES) {
+            this.stats.examples.push({ line, errors });
+        }
+        if (this.rejectsStream) {
+            this.rejectsStream.write(`${JSON.stringify({ line, errors, reasons, row })}\n`);
+        }
+    }
+
+    /**
+     * Print the final summary
+     * @param {number} walDepth - Records left in the backfill WAL
+     * @param {number} started
+     */
+    report(walDepth, started) {
+        const { stats, options } = this;
+        const lines = [
+            '',
+            `Backfill ${this.stopRequested ? 'interrupted' : 'finished'}${options.dryRun ? ' (dry run)' : ''}: ${options.file}`,
+            `  Rows read:      ${stats.rows}`,
+            `  ${options.dryRun ? 'Valid:  ' : 'Written:'}        ${stats.written}`,
+            `  Rejected:       ${stats.rejected}`,
+        ];
+        if (stats.skipped > 0) {
+            lines.push(`  Skipped lines:  ${stats.skipped} (before line ${options.resumeFrom})`);
+        }
+        lines.push(`  Duration:       ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+        if (stats.rejected > 0) {
+            lines.push('', 'Rejected rows by reason:');
+            for (const [reason, count] of Object.entries(stats.byReason).sort((a, b) => b[1] - a[1])) {
+                lines.push(`  ${reason.padEnd(20)} ${count}`);
+            }
+            lines.push('', `First ${stats.examples.length} rejected rows:`);
+            for (const example of stats.examples) {
+                lines.push(`  line ${example.line}: ${example.errors.join('; ')}`);
+            }
+            if (options.rejects) {
+                lines.push(`All rejected rows: ${options.rejects}`);
+            }
+        }
+
+        if (walDepth > 0) {
+            lines.push('', `${walDepth} records could not be written and are buffered in ${config.wal.dir};`,
+                'they are replayed on the next backfill run.');
+        }
+        if (this.stopRequested) {
+            lines.push('', `Resume with: --resume-from ${this.lastFlushedLine + 1}`);
+        }
+
+        console.log(lines.join('\n'));
+    }
+
+    /**
+     * Apply --map renames to a column name
+     * @param {string} column
+     * @returns {string}
+     */
+    mapColumn(column) {
+        return this.options.columnMap[column] || column;
+    }
+
+    /**
+     * Name of the row's timestamp column, if any
+     * @param {Object} row
+     * @returns {string|null}
+     */
+    timestampColumn(row) {
+        const candidates = this.options.timestampColumn ? [this.options.timestampColumn] : TIMESTAMP_COLUMNS;
+        return candidates.find(column => row[column] !== undefined) || null;
+    }
+
+    /**
+     * Parse a timestamp value
+     * Epoch numbers are detected by magnitude (s, ms, µs, ns); ISO dates without a
+     * zone get --utc-offset.
+     * @param {string|number} value
+     * @returns {Date|null}
+     */
+    parseTimestamp(value) {
+        const raw = String(value).trim();
+
+        let ms;
+        if (/^\d+(\.\d+)?$/.test(raw)) {
+            const epoch = parseFloat(raw);
+            if (epoch < 1e11) ms = epoch * 1000;
+            else if (epoch < 1e14) ms = epoch;
+            else if (epoch < 1e17) ms = epoch / 1e3;
+            else ms = epoch / 1e6;
+        } else {
+            let text = raw.replace(' ', 'T');
+            if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+                text += this.options.utcOffset;
+            }
+            ms = Date.parse(text);
+        }
+
+        return Number.isFinite(ms) ? new Date(ms) : null;
+    }
+
+    /**
+     * Split a CSV line, honouring double-quoted values
+     * @param {string} line
+     * @returns {Array<string>}
+     */
+    parseCSVLine(line) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current);
+        return values.map(value => value.trim());
+    }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv
+ * @returns {Object|null} - Options, or null when help was requested
+ */
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string' },
+            map: { type: 'string', default: '' },
+            timestamp: { type: 'string' },
+            'utc-offset': { type: 'string', default: '+00:00' },
+            'sensor-id': { type: 'string' },
+            location: { type: 'string' },
+            'device-type': { type: 'string' },
+            'batch-size': { type: 'string', default: '5000' },
+            'resume-from': { type: 'string', default: '1' },
+            rejects: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help) return null;
+
+    if (positionals.length !== 1) {
+        throw new Error('Expected exactly one input file');
+    }
+    const file = positionals[0];
+    if (!fs.existsSync(file)) {
+        throw new Error(`File not found: ${file}`);
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    const format = values.format || (['.ndjson', '.jsonl', '.json'].includes(extension) ? 'ndjson' : 'csv');
+    if (!['csv', 'ndjson'].includes(format)) {
+        throw new Error(`Invalid --format: ${format}`);
+    }
+
+    const columnMap = {};
+    for (const entry of values.map.split(',').map(item => item.trim()).filter(Boolean)) {
+        const index = entry.lastIndexOf('=');
+        if (index <= 0) {
+            throw new Error(`Invalid --map entry: ${entry}`);
+        }
+        columnMap[entry.slice(0, index).trim()] = entry.slice(index + 1).trim();
+    }
+
+    const utcOffset = values['utc-offset'];
+    if (utcOffset !== 'Z' && !/^[+-]\d{2}:\d{2}$/.test(utcOffset)) {
+        throw new Error(`Invalid --utc-offset: ${utcOffset} (expected e.g. +07:00)`);
+    }
+
+    const batchSize = parseInt(values['batch-size'], 10);
+    const resumeFrom = parseInt(values['resume-from'], 10);
+    if (!(batchSize > 0) || !(resumeFrom > 0)) {
+        throw new Error('--batch-size and --resume-from must be positive integers');
+    }
+
+    // Passed to the identity resolver as topic-level values, so they win over the file
+    const identity = {};
+    if (values['sensor-id']) identity.sensor_id = values['sensor-id'];
+    if (values.location) identity.location = values.location;
+    if (values['device-type']) identity.device_type = values['device-type'];
+
+    return {
+        file,
+        format,
+        columnMap,
+        timestampColumn: values.timestamp || null,
+        utcOffset,
+        identity,
+        batchSize,
+        resumeFrom,
+        rejects: values.rejects || null,
+        dryRun: values['dry-run'],
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+
+    const backfill = new Backfill(options);
+    process.on('SIGINT', () => {
+        // Finish the current batch so --resume-from is exact
+        backfill.stopRequested = true;
+    });
+
+    process.exit(await backfill.run());
+}
+
+main().catch(error => {
+    console.error(`Backfill failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const mqtt = require('mqtt');
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const TopicMatcher = require('./topic-matcher');
+const { connectionOptions } = require('./mqtt-options');
+
+/**
+ * Leader lease kept in a file on storage shared by all instances
+ *
+ * The lease file holds { holder, epoch, expires_at }. The holder renews it
+ * before it expires; once expired, instances race to create the marker file
+ * `<lease>.<epoch + 1>` with O_EXCL, and only the winner writes the new lease.
+ * Hosts need synchronised clocks, as expiry is compared with wall-clock time.
+ */
+class FileLease {
+    /**
+     * @param {string} file - Lease file path
+     * @param {string} holder - This instance's ID
+     * @param {number} ttl - Lease duration in ms
+     */
+    constructor(file, holder, ttl) {
+        this.file = file;
+        this.holder = holder;
+        this.ttl = ttl;
+        // How often the holder refreshes the lease
+        this.interval = Math.max(1000, ttl / 3);
+    }
+
+    /**
+     * Current lease
+     * @returns {Object|null}
+     */
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the lease atomically and read it back
+     * Another instance may replace it in between, so check the holder and epoch of the result.
+     * @param {Object} lease
+     * @returns {Object|null}
+     */
+    write(lease) {
+        const tmp = `${this.file}.${this.holder}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(lease));
+        fs.renameSync(tmp, this.file);
+        return this.read();
+    }
+
+    /**
+     * Renew our lease, or try to take an expired or missing one
+     *
+     * The lease is only renewed in place while more than one refresh interval of it
+     * is left. A renewal delayed past that could land after the lease expired and
+     * overwrite another instance's claim, so the holder then claims the next epoch
+     * through its marker like any other instance.
+     * @param {number} now - Time in ms
+     * @returns {Object|null} - The lease after the attempt
+     */
+    refresh(now = Date.now()) {
+        const lease = this.read();
+        const ours = Boolean(lease && lease.holder === this.holder);
+
+        if (lease && lease.expires_at > now) {
+            if (!ours) return lease;
+            if (lease.expires_at - now > this.interval) {
+                return this.write({ ...lease, expires_at: now + this.ttl });
+            }
+        }
+
+        const epoch = lease ? lease.epoch + 1 : 1;
+        const marker = `${this.file}.${epoch}`;
+        try {
+            fs.writeFileSync(marker, this.holder, { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            // Another instance won this epoch; a marker left by a claim that crashed goes after one TTL
+            if (now - fs.statSync(marker).mtimeMs > this.ttl) {
+                fs.unlinkSync(marker);
+            }
+            return this.read();
+        }
+
+        const claimed = this.write({
+            holder: this.holder,
+            epoch,
+            expires_at: now + this.ttl,
+            acquired_at: ours ? lease.acquired_at : now,
+        });
+        if (!claimed || claimed.holder !== this.holder || claimed.epoch !== epoch) {
+            // Lost the lease while claiming; a marker left behind would block the next claim of this epoch
+            this.removeMarker(marker);
+        } else if (lease) {
+            fs.rm(`${this.file}.${lease.epoch}`, { force: true }, () => {});
+        }
+        return claimed;
+    }
+
+    /**
+     * Delete a claim marker if this instance created it
+     * @param {string} marker
+     */
+    removeMarker(marker) {
+        try {
+            if (fs.readFileSync(marker, 'utf8') === this.holder) {
+                fs.unlinkSync(marker);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Expire our lease so another instance can take over without waiting
+     */
+    release() {
+        const lease = this.read();
+        if (lease && lease.holder === this.holder) {
+            this.write({ ...lease, expires_at: 0 });
+        }
+    }
+}
+
+/**
+ * Coordinates instances that share the readings through an MQTT shared subscription
+ *
+ * One instance holds the leader lease and runs the singleton jobs (alerting and
+ * offline detection). As each instance only receives part of the readings, every
+ * instance relays its validated readings to config.cluster.relayTopic and the
+ * leader subscribes to it; relayed readings are emitted as 'reading' on the leader.
+ * Without a shared group this instance is always the leader and nothing is relayed.
+ */
+class ClusterCoordinator extends EventEmitter {
+    constructor() {
+        super();
+        this.instanceId = config.cluster.instanceId;
+        this.group = config.mqtt.sharedGroup || null;
+        this.relayTopic = config.cluster.relayTopic;
+        this.lease = new FileLease(config.cluster.leaseFile, this.instanceId, config.cluster.leaseTtl * 1000);
+        this.isLeader = false;
+        this.current = null;
+        this.client = null;
+        this.timer = null;
+        this.relayDropped = 0;
+    }
+
+    get enabled() {
+        return this.group !== null;
+    }
+
+    /**
+     * Validate the cluster settings, connect the relay and start competing for the lease
+     */
+    start() {
+        if (!this.enabled) {
+            this.setLeader(true);
+            return;
+        }
+
+        if (/[/+#]/.test(this.group)) {
+            throw new Error(`Invalid MQTT_SHARED_GROUP: ${this.group} (must not contain /, + or #)`);
+        }
+        if (new TopicMatcher(config.mqtt.topics).match(this.relayTopic)) {
+            throw new Error(`CLUSTER_RELAY_TOPIC ${this.relayTopic} matches MQTT_TOPICS and would be ingested again`);
+        }
+
+        fs.mkdirSync(path.dirname(this.lease.file), { recursive: true });
+
+        this.client = mqtt.connect(config.mqtt.url, connectionOptions(config.mqtt.url, {
+            clientId: `iot-monitoring-cluster-${this.instanceId}-${process.pid}`,
+            queueQoSZero: false,
+        }));
+        this.client.on('connect', () => {
+            if (this.isLeader) this.subscribe();
+        });
+        this.client.on('message', (topic, message) => this.handleRelay(message));
+        this.client.on('error', (error) => {
+            logger.error('Cluster relay connection error', { error: error.message });
+        });
+
+        logger.info('Cluster coordination started', {
+            instance: this.instanceId,
+            group: this.group,
+            leaseFile: this.lease.file,
+            relayTopic: this.relayTopic,
+        });
+
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), this.lease.interval);
+    }
+
+    /**
+     * Renew or try to acquire the lease and update leadership
+     */
+    refresh() {
+        const now = Date.now();
+        try {
+            this.current = this.lease.refresh(now);
+            this.setLeader(Boolean(this.current && this.current.holder === this.instanceId && this.current.expires_at > now));
+        } catch (error) {
+            // Without a readable lease, nobody can be sure who leads; stand down
+            logger.error('Leader lease check failed', { file: this.lease.file, error: error.message });
+            this.setLeader(false);
+        }
+    }
+
+    /**
+     * Record a leadership change and emit it
+     * @param {boolean} leader
+     */
+    setLeader(leader) {
+        if (leader === this.isLeader) return;
+        this.isLeader = leader;
+        metrics.clusterLeader.set(leader ? 1 : 0);
+
+        if (this.enabled) {
+            logger.warn(leader ? 'This instance is now the leader' : 'This instance is no longer the leader', {
+                instance: this.instanceId,
+                leader: this.current ? this.current.holder : null,
+                epoch: this.current ? this.current.epoch : null,
+            });
+            if (leader) {
+                this.subscribe();
+            } else if (this.client) {
+                this.client.unsubscribe(this.relayTopic);
+            }
+        }
+
+        this.emit('leadership', leader);
+    }
+
+    /**
+     * Subscribe to relayed readings (leader only)
+     */
+    subscribe() {
+        if (!this.client || !this.client.connected) return;
+        this.client.subscribe(this.relayTopic, { qos: 1 }, (error) => {
+            if (error) {
+                logger.error('Failed to subscribe to the cluster relay', { topic: this.relayTopic, error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Send a validated reading to the leader
+     * Readings are dropped while the relay is disconnected.
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - Enriched device identity
+     * @param {Object} meta - Timestamp, message ID and sequence number
+     */
+    relay(data, identity, meta) {
+        if (!this.client || !this.client.connected) {
+            this.relayDropped++;
+            return;
+        }
+
+        const message = JSON.stringify({ instance: this.instanceId, data, identity, meta });
+        this.client.publish(this.relayTopic, message, { qos: 1 }, (error) => {
+            if (error) this.relayDropped++;
+        });
+    }
+
+    /**
+     * Handle a relayed reading on the leader
+     * @param {Buffer} message
+     */
+    handleRelay(message) {
+        if (!this.isLeader) return;
+
+        try {
+            const { data, identity, meta } = JSON.parse(message.toString());
+            this.emit('reading', data, identity, meta);
+        } catch (error) {
+            logger.warn('Invalid cluster relay message', { error: error.message });
+        }
+    }
+
+    /**
+     * Instance summary for health reporting
+     * @returns {Object}
+     */
+    health() {
+        const health = {
+            id: this.instanceId,
+            group: this.group,
+            leader: this.isLeader,
+        };
+
+        if (this.enabled) {
+            health.lease = this.current
+                ? { holder: this.current.holder, epoch: this.current.epoch, expires_at: new Date(this.current.expires_at).toISOString() }
+                : null;
+            health.relay = {
+                connected: Boolean(this.client && this.client.connected),
+                dropped: this.relayDropped,
+            };
+        }
+        return health;
+    }
+
+    /**
+     * Release the lease and close the relay connection
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (!this.enabled) return;
+
+        if (this.isLeader) {
+            try {
+                this.lease.release();
+            } catch (error) {
+                logger.error('Failed to release leader lease', { error: error.message });
+            }
+            this.setLeader(false);
+        }
+
+        if (this.client) {
+            await new Promise(resolve => this.client.end(false, {}, () => resolve()));
+        }
+    }
+}
+
+module.exports = new ClusterCoordinator();
+module.exports.FileLease = FileLease;
@@ -1,4 +1,9 @@
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+const mqttHost = process.env.MQTT_HOST || '172.16.202.63';
+const mqttPort = parseInt(process.env.MQTT_PORT, 10) || 1883;
 
 const config = {
     // InfluxDB configuration
@@ -11,11 +16,42 @@ const config = {
 
     // MQTT configuration
     mqtt: {
-        host: process.env.MQTT_HOST || '172.16.202.63',
-        port: parseInt(process.env.MQTT_PORT, 10) || 1883,
+        host: mqttHost,
+        port: mqttPort,
+        // mqtt://, mqtts://, ws:// or wss://; overrides MQTT_HOST and MQTT_PORT
+        url: process.env.MQTT_URL || `mqtt://${mqttHost}:${mqttPort}`,
         username: process.env.MQTT_USERNAME || '',
-        password: process.env.MQTT_PASSWORD || 'public',
+        password: process.env.MQTT_PASSWORD || '',
+        // 4 = MQTT 3.1.1, 5 = MQTT 5
+        protocolVersion: parseInt(process.env.MQTT_PROTOCOL_VERSION, 10) || 4,
+        // Client ID for the ingest connection; required for persistent sessions
+        clientId: process.env.MQTT_CLIENT_ID || '',
+        // Subscription QoS (0, 1 or 2)
+        qos: parseInt(process.env.MQTT_QOS, 10) || 0,
+        // Subscribe as $share/<group>/<topic> so instances in the group split the readings
+        sharedGroup: process.env.MQTT_SHARED_GROUP || '',
+        // false keeps the ingest session (subscriptions, queued QoS 1/2 messages) across reconnects
+        cleanSession: process.env.MQTT_CLEAN_SESSION !== 'false',
+        // Seconds the broker keeps the session after a disconnect (MQTT 5; 0 ends it with the connection)
+        sessionExpiry: parseInt(process.env.MQTT_SESSION_EXPIRY, 10) || 0,
+        // TLS for mqtts:// and wss:// URLs
+        tls: {
+            ca: process.env.MQTT_CA_FILE || '',
+            cert: process.env.MQTT_CERT_FILE || '',
+            key: process.env.MQTT_KEY_FILE || '',
+            passphrase: process.env.MQTT_KEY_PASSPHRASE || '',
+            // Verify the broker certificate chain, and that it was issued for the broker's host name
+            rejectUnauthorized: process.env.MQTT_TLS_REJECT_UNAUTHORIZED !== 'false',
+            verifyHostname: process.env.MQTT_TLS_VERIFY_HOSTNAME !== 'false',
+            // Host name to verify and send as SNI, when it differs from the URL (e.g. connecting by IP)
+            servername: process.env.MQTT_TLS_SERVERNAME || '',
+        },
         topic: process.env.MQTT_TOPIC || 'sensor/data',
+        // Comma-separated topic patterns, `{name}` captures a topic level
+        topics: (process.env.MQTT_TOPICS || process.env.MQTT_TOPIC || 'sensor/data')
+            .split(',')
+            .map(topic => topic.trim())
+            .filter(Boolean),
         options: {
             clean: true,
             connectTimeout: 4000,
@@ -24,15 +60,224 @@ const config = {
         },
     },
 
-    // WebSocket configuration (fallback)
+    // MQTT over WebSocket fallback, with failback to TCP once probes succeed
     websocket: {
+        enabled: process.env.WS_FALLBACK !== 'false',
         url: process.env.WS_URL || 'ws://172.16.202.63:8083/mqtt',
-        options: {
-            reconnectInterval: 1000,
-            maxReconnectAttempts: 10,
+        failoverAfter: parseInt(process.env.WS_FAILOVER_SECONDS, 10) || 15,
+        probeInterval: parseInt(process.env.WS_PROBE_INTERVAL_SECONDS, 10) || 30,
+        failbackProbes: parseInt(process.env.WS_FAILBACK_PROBES, 10) || 3,
+    },
+
+    // Payload decoding
+    decoders: {
+        // Comma-separated topic=decoder pairs (json, senml, line, kv, csv, auto); unmatched topics are sniffed
+        topics: (process.env.PAYLOAD_DECODERS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const index = entry.lastIndexOf('=');
+                return { pattern: entry.slice(0, index).trim(), decoder: entry.slice(index + 1).trim() };
+            }),
+        // Column order for positional CSV payloads
+        csvColumns: (process.env.CSV_COLUMNS || 'temperature,humidity,pm1,pm2_5,pm10')
+            .split(',')
+            .map(column => column.trim()),
+    },
+
+    // Validation schemas per device_type (built-ins plus an optional JSON file)
+    schemas: {
+        file: process.env.SENSOR_SCHEMAS_FILE || '',
+    },
+
+    // Device identity resolution (topic segments > payload fields > defaults)
+    identity: {
+        payloadFields: {
+            sensor_id: ['sensor_id', 'device_id'],
+            location: ['location'],
+            device_type: ['device_type'],
+        },
+        defaults: {
+            sensor_id: process.env.DEFAULT_SENSOR_ID || 'sensor-001',
+            location: process.env.DEFAULT_LOCATION || 'default',
+            device_type: process.env.DEFAULT_DEVICE_TYPE || 'environmental',
+        },
+    },
+
+    // Device registry
+    registry: {
+        file: process.env.DEVICE_REGISTRY_FILE || path.join(__dirname, '..', 'data', 'devices.json'),
+        // Readings from unregistered devices: allow | reject (drop) | quarantine (dead-letter store)
+        unregistered: process.env.UNREGISTERED_DEVICE_POLICY || 'allow',
+    },
+
+    // Device liveness (seconds of silence before a device is stale / offline)
+    liveness: {
+        staleAfter: parseInt(process.env.DEVICE_STALE_SECONDS, 10) || 300,
+        offlineAfter: parseInt(process.env.DEVICE_OFFLINE_SECONDS, 10) || 900,
+        checkInterval: parseInt(process.env.DEVICE_CHECK_INTERVAL, 10) || 30000,
+        rateWindow: parseInt(process.env.DEVICE_RATE_WINDOW_SECONDS, 10) || 300,
+        measurement: process.env.DEVICE_STATUS_MEASUREMENT || 'device_status',
+    },
+
+    // Air Quality Index (written to a companion measurement)
+    aqi: {
+        // Comma-separated standard IDs: us_epa, th_pcd (empty to disable)
+        standards: (process.env.AQI_STANDARDS !== undefined ? process.env.AQI_STANDARDS : 'us_epa,th_pcd')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean),
+        measurement: process.env.AQI_MEASUREMENT || 'air_quality_index',
+    },
+
+    // Streaming anomaly detection (tags points with quality=good|suspect)
+    anomaly: {
+        enabled: process.env.ANOMALY_DETECTION !== 'false',
+        measurement: process.env.ANOMALY_MEASUREMENT || 'sensor_anomalies',
+        windowSize: parseInt(process.env.ANOMALY_WINDOW_SIZE, 10) || 30,
+        minSamples: parseInt(process.env.ANOMALY_MIN_SAMPLES, 10) || 10,
+        zScoreThreshold: parseFloat(process.env.ANOMALY_ZSCORE_THRESHOLD) || 4,
+        flatlineSeconds: parseInt(process.env.ANOMALY_FLATLINE_SECONDS, 10) || 3600,
+        flatlineMinSamples: parseInt(process.env.ANOMALY_FLATLINE_MIN_SAMPLES, 10) || 10,
+        dropoutSeconds: parseInt(process.env.ANOMALY_DROPOUT_SECONDS, 10) || 600,
+        // Maximum change per minute as field=value pairs
+        maxRatePerMinute: (process.env.ANOMALY_MAX_RATE || 'temperature=5,humidity=20,pm1=200,pm2_5=200,pm10=300,co2=2000')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .reduce((rates, entry) => {
+                const [field, value] = entry.split('=');
+                rates[field.trim()] = parseFloat(value);
+                return rates;
+            }, {}),
+    },
+
+    // Storage sinks, written in this order; each one fails independently
+    storage: {
+        // Comma-separated: influxdb, sqlite, file
+        sinks: (process.env.STORAGE_SINKS || 'influxdb')
+            .split(',')
+            .map(sink => sink.trim())
+            .filter(Boolean),
+        measurement: 'environmental_sensors',
+        sqlite: {
+            file: process.env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'readings.db'),
+            retentionDays: parseInt(process.env.SQLITE_RETENTION_DAYS, 10) || 0, // 0 = keep everything
+        },
+        file: {
+            dir: process.env.ARCHIVE_DIR || path.join(__dirname, '..', 'data', 'archive'),
+            maxBytes: parseInt(process.env.ARCHIVE_MAX_BYTES, 10) || 104857600, // 100MB
+            maxFiles: parseInt(process.env.ARCHIVE_MAX_FILES, 10) || 30,
         },
     },
 
+    // Write-ahead log used while InfluxDB is unreachable
+    wal: {
+        dir: process.env.WAL_DIR || path.join(__dirname, '..', 'data', 'wal'),
+        segmentBytes: parseInt(process.env.WAL_SEGMENT_BYTES, 10) || 1048576, // 1MB
+        maxBytes: parseInt(process.env.WAL_MAX_BYTES, 10) || 104857600, // 100MB
+        overflow: process.env.WAL_OVERFLOW_POLICY || 'drop_oldest', // drop_oldest | drop_newest
+        retry: {
+            initialDelay: parseInt(process.env.WAL_RETRY_INITIAL_DELAY, 10) || 1000,
+            maxDelay: parseInt(process.env.WAL_RETRY_MAX_DELAY, 10) || 60000,
+        },
+    },
+
+    // Live WebSocket feed for dashboards
+    live: {
+        path: process.env.LIVE_WS_PATH || '/api/v1/live',
+        heartbeatInterval: parseInt(process.env.LIVE_WS_HEARTBEAT_INTERVAL, 10) || 30000,
+        maxBufferedBytes: parseInt(process.env.LIVE_WS_MAX_BUFFERED_BYTES, 10) || 1048576,
+        maxDroppedMessages: parseInt(process.env.LIVE_WS_MAX_DROPPED, 10) || 500,
+    },
+
+    // Server-Sent Events stream
+    stream: {
+        bufferSize: parseInt(process.env.STREAM_BUFFER_SIZE, 10) || 500,
+        heartbeatInterval: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL, 10) || 15000,
+        retryInterval: parseInt(process.env.STREAM_RETRY_INTERVAL, 10) || 5000,
+        maxBufferedBytes: parseInt(process.env.STREAM_MAX_BUFFERED_BYTES, 10) || 1048576,
+    },
+
+    // Dead-letter store for rejected messages
+    deadLetter: {
+        file: process.env.DEAD_LETTER_FILE || path.join(__dirname, '..', 'data', 'dead-letters.ndjson'),
+        maxEntries: parseInt(process.env.DEAD_LETTER_MAX_ENTRIES, 10) || 10000,
+    },
+
+    // Duplicate readings (QoS 1 redelivery, transport switches) and per-device sequence gaps
+    dedup: {
+        enabled: process.env.DEDUP_ENABLED !== 'false',
+        // Seconds a reading is remembered, and the most readings remembered
+        window: parseInt(process.env.DEDUP_WINDOW_SECONDS, 10) || 600,
+        maxEntries: parseInt(process.env.DEDUP_MAX_ENTRIES, 10) || 100000,
+        // Payload fields holding the device timestamp, a message ID and a sequence number (first present wins)
+        timestampFields: (process.env.DEDUP_TIMESTAMP_FIELDS || 'timestamp,time,ts')
+            .split(',')
+            .map(field => field.trim())
+            .filter(Boolean),
+        idFields: (process.env.DEDUP_ID_FIELDS || 'message_id,msg_id')
+            .split(',')
+            .map(field => field.trim())
+            .filter(Boolean),
+        sequenceFields: (process.env.DEDUP_SEQUENCE_FIELDS || 'seq,sequence')
+            .split(',')
+            .map(field => field.trim())
+            .filter(Boolean),
+        // Payload fields holding a boot or session ID, which tells sequence numbers of different boots apart
+        sessionFields: (process.env.DEDUP_SESSION_FIELDS || 'boot_id,session_id')
+            .split(',')
+            .map(field => field.trim())
+            .filter(Boolean),
+        // Write readings at their device timestamp, so a reading stored twice overwrites itself in InfluxDB
+        deviceTime: process.env.WRITE_DEVICE_TIMESTAMP !== 'false',
+        maxClockSkew: parseInt(process.env.MAX_CLOCK_SKEW_SECONDS, 10) || 300,
+    },
+
+    // Historical export (/api/v1/export)
+    export: {
+        timeZone: process.env.EXPORT_TIMEZONE || 'Asia/Bangkok',
+        fields: (process.env.EXPORT_FIELDS || 'temperature,humidity,pm1,pm2_5,pm10')
+            .split(',')
+            .map(field => field.trim())
+            .filter(Boolean),
+        // Each chunk is one InfluxDB query; smaller chunks use less memory on both sides
+        chunkHours: parseInt(process.env.EXPORT_CHUNK_HOURS, 10) || 24,
+    },
+
+    // Alerting
+    alerts: {
+        rulesFile: process.env.ALERT_RULES_FILE || path.join(__dirname, '..', 'alert-rules.json'),
+    },
+
+    // Forwarding of validated readings to downstream MQTT topics and webhooks
+    forwarding: {
+        file: process.env.FORWARDING_FILE || path.join(__dirname, '..', 'forwarding.json'),
+    },
+
+    // Running several instances (see mqtt.sharedGroup)
+    cluster: {
+        // Written as the `instance` tag on every point
+        instanceId: process.env.INSTANCE_ID || os.hostname(),
+        // Lease deciding which instance runs alerting and offline detection; must be on storage shared by all instances
+        leaseFile: process.env.LEASE_FILE || path.join(__dirname, '..', 'data', 'leader.lease'),
+        leaseTtl: parseInt(process.env.LEASE_TTL_SECONDS, 10) || 30,
+        // Every instance relays validated readings here for the leader; must not match MQTT_TOPICS
+        relayTopic: process.env.CLUSTER_RELAY_TOPIC || `iot-monitoring/${process.env.MQTT_SHARED_GROUP || 'cluster'}/readings`,
+    },
+
+    // HTTP API authentication (/health is always public)
+    auth: {
+        // Set API_AUTH=false only when an authenticating proxy sits in front of the service
+        enabled: process.env.API_AUTH !== 'false',
+        keysFile: process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json'),
+        auditFile: process.env.API_AUDIT_FILE || path.join(__dirname, '..', 'data', 'audit.log'),
+        // Default token bucket per key: sustained requests per second and burst size
+        rateLimit: parseFloat(process.env.API_RATE_LIMIT) || 10,
+        rateBurst: parseInt(process.env.API_RATE_BURST, 10) || 20,
+    },
+
     // Application configuration
     app: {
         env: process.env.NODE_ENV || 'development',
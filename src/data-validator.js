@@ -1,129 +1,136 @@
+const config = require('./config');
 const logger = require('./logger');
+const metrics = require('./metrics');
+const sensorSchemas = require('./sensor-schemas');
 
 /**
- * Validates sensor data structure and values
+ * Validates sensor data structure and values against the device type's schema
  */
 class DataValidator {
-    constructor() {
-        this.requiredFields = ['temperature', 'humidity', 'pm1', 'pm2_5', 'pm10'];
-
-        // Define reasonable ranges for validation
-        this.ranges = {
-            temperature: { min: -50, max: 100 }, // Celsius
-            humidity: { min: 0, max: 100 }, // Percentage
-            pm1: { min: 0, max: 1000 }, // μg/m³
-            pm2_5: { min: 0, max: 1000 },
-            pm10: { min: 0, max: 1000 },
-        };
-    }
-
     /**
      * Validates incoming sensor data
      * @param {Object} data - Raw sensor data
-     * @returns {Object} - { valid: boolean, data: Object, errors: Array }
+     * @param {string} deviceType - Selects the schema (defaults to the default device type)
+     * @returns {Object} - { valid: boolean, data: Object, errors: Array, reasons: Array }
      */
-    validate(data) {
+    validate(data, deviceType = config.identity.defaults.device_type) {
         const errors = [];
+        const reasons = [];
+        const fail = (reason, message) => {
+            errors.push(message);
+            if (!reasons.includes(reason)) reasons.push(reason);
+        };
 
         // Check if data is an object
         if (!data || typeof data !== 'object') {
+            metrics.validationFailures.inc({ reason: 'not_object' });
             return {
                 valid: false,
                 data: null,
                 errors: ['Data must be an object'],
+                reasons: ['not_object'],
             };
         }
 
-        // Check for required fields
-        const missingFields = this.requiredFields.filter(field => !(field in data));
+        const schema = sensorSchemas.get(deviceType);
+
+        // Check for required fields (by name or alias)
+        const missingFields = schema.fields
+            .filter(field => field.required && this.findKey(data, field) === null)
+            .map(field => field.name);
         if (missingFields.length > 0) {
-            errors.push(`Missing required fields: ${missingFields.join(', ')}`);
+            fail('missing_field', `Missing required fields: ${missingFields.join(', ')}`);
         }
 
-        // Parse and validate each field
+        // Parse and validate each field present in the payload
         const validatedData = {};
 
-        // Temperature (float)
-        if ('temperature' in data) {
-            const temp = parseFloat(data.temperature);
-            if (isNaN(temp)) {
-                errors.push('Temperature must be a number');
-            } else if (!this.isInRange(temp, this.ranges.temperature)) {
-                errors.push(`Temperature out of range (${this.ranges.temperature.min}-${this.ranges.temperature.max})`);
-            } else {
-                validatedData.temperature = temp;
-            }
-        }
-
-        // Humidity (float)
-        if ('humidity' in data) {
-            const humidity = parseFloat(data.humidity);
-            if (isNaN(humidity)) {
-                errors.push('Humidity must be a number');
-            } else if (!this.isInRange(humidity, this.ranges.humidity)) {
-                errors.push(`Humidity out of range (${this.ranges.humidity.min}-${this.ranges.humidity.max})`);
-            } else {
-                validatedData.humidity = humidity;
-            }
-        }
+        for (const field of schema.fields) {
+            const key = this.findKey(data, field);
+            if (key === null) continue;
 
-        // PM1 (integer)
-        if ('pm1' in data) {
-            const pm1 = parseInt(data.pm1, 10);
-            if (isNaN(pm1)) {
-                errors.push('PM1 must be a number');
-            } else if (!this.isInRange(pm1, this.ranges.pm1)) {
-                errors.push(`PM1 out of range (${this.ranges.pm1.min}-${this.ranges.pm1.max})`);
+            const value = this.parseValue(data[key], field.type);
+            if (value === null) {
+                const expected = field.type === 'float' || field.type === 'int' ? 'number' : field.type;
+                fail('not_a_number', `${field.label} must be a ${expected}`);
+            } else if (typeof value === 'number' && !this.isInRange(value, field)) {
+                fail('out_of_range', `${field.label} out of range (${field.min !== null ? field.min : '-∞'}-${field.max !== null ? field.max : '∞'})`);
             } else {
-                validatedData.pm1 = pm1;
-            }
-        }
-
-        // PM2.5 (integer)
-        if ('pm2_5' in data) {
-            const pm2_5 = parseInt(data.pm2_5, 10);
-            if (isNaN(pm2_5)) {
-                errors.push('PM2.5 must be a number');
-            } else if (!this.isInRange(pm2_5, this.ranges.pm2_5)) {
-                errors.push(`PM2.5 out of range (${this.ranges.pm2_5.min}-${this.ranges.pm2_5.max})`);
-            } else {
-                validatedData.pm2_5 = pm2_5;
-            }
-        }
-
-        // PM10 (integer)
-        if ('pm10' in data) {
-            const pm10 = parseInt(data.pm10, 10);
-            if (isNaN(pm10)) {
-                errors.push('PM10 must be a number');
-            } else if (!this.isInRange(pm10, this.ranges.pm10)) {
-                errors.push(`PM10 out of range (${this.ranges.pm10.min}-${this.ranges.pm10.max})`);
-            } else {
-                validatedData.pm10 = pm10;
+                validatedData[field.name] = value;
             }
         }
 
         const valid = errors.length === 0;
 
         if (!valid) {
-            logger.warn('Data validation failed', { errors, rawData: data });
+            logger.warn('Data validation failed', { errors, rawData: data, deviceType: schema.deviceType });
+            reasons.forEach(reason => metrics.validationFailures.inc({ reason }));
         }
 
         return {
             valid,
             data: valid ? validatedData : null,
             errors,
+            reasons,
         };
     }
 
+    /**
+     * Find the payload key holding a field (its name or one of its aliases)
+     * @param {Object} data
+     * @param {Object} field - Schema field
+     * @returns {string|null}
+     */
+    findKey(data, field) {
+        if (field.name in data) return field.name;
+        const alias = field.aliases.find(name => name in data);
+        return alias !== undefined ? alias : null;
+    }
+
+    /**
+     * Convert a raw value to the field type
+     * @param {*} raw
+     * @param {string} type - float | int | boolean | string
+     * @returns {*} - Parsed value, or null if it cannot be converted
+     */
+    parseValue(raw, type) {
+        switch (type) {
+            case 'float': {
+                const value = parseFloat(raw);
+                return isNaN(value) ? null : value;
+            }
+            case 'int': {
+                const value = parseInt(raw, 10);
+                return isNaN(value) ? null : value;
+            }
+            case 'boolean':
+                if (typeof raw === 'boolean') return raw;
+                if (raw === 'true' || raw === 1 || raw === '1') return true;
+                if (raw === 'false' || raw === 0 || raw === '0') return false;
+                return null;
+            case 'string':
+                return raw === null || raw === undefined ? null : String(raw);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Names of all fields known to any schema
+     * @returns {Array<string>}
+     */
+    fieldNames() {
+        return sensorSchemas.fieldNames();
+    }
+
     /**
      * Check if value is within range
      * @param {number} value 
-     * @param {Object} range - { min, max }
+     * @param {Object} range - { min, max }, null bounds are open
      * @returns {boolean}
      */
     isInRange(value, range) {
-        return value >= range.min && value <= range.max;
+        return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
     }
 
     /**
@@ -136,6 +143,7 @@ class DataValidator {
             return JSON.parse(jsonString);
         } catch (error) {
             logger.error('Failed to parse JSON', { error: error.message, jsonString });
+            metrics.validationFailures.inc({ reason: 'parse_error' });
             return null;
         }
     }
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const messagePipeline = require('./message-pipeline');
+const { HttpError, sendJSON, readJSON } = require('./http-router');
+
+/**
+ * Bounded on-disk store of rejected messages
+ *
+ * Entries are appended to an NDJSON file and kept in memory. When the file holds
+ * more than twice maxEntries lines it is compacted to the newest maxEntries entries,
+ * so a flood of rejected messages rewrites it once per maxEntries messages.
+ */
+class DeadLetterStore {
+    constructor() {
+        this.file = config.deadLetter.file;
+        this.maxEntries = config.deadLetter.maxEntries;
+        this.entries = [];
+        this.fileLines = 0;
+    }
+
+    /**
+     * Load existing entries from disk
+     */
+    open() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        if (fs.existsSync(this.file)) {
+            const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+            this.fileLines = lines.length;
+            this.entries = lines
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        return null;
+                    }
+                })
+                .filter(Boolean)
+                .slice(-this.maxEntries);
+        }
+
+        logger.info('Dead-letter store opened', { file: this.file, entries: this.entries.length });
+    }
+
+    /**
+     * Store a rejected message
+     * @param {Object} rejection - { transport, topic, payload, stage, errors, reasons, identity, data }
+     * @returns {Object} - The stored entry
+     */
+    add(rejection) {
+        const entry = {
+            id: crypto.randomUUID(),
+            receivedAt: new Date().toISOString(),
+            transport: rejection.transport,
+            topic: rejection.topic || null,
+            payload: rejection.payload,
+            // The rejected reading alone, so replay leaves the message's accepted readings alone
+            reading: rejection.data !== null && typeof rejection.data === 'object' ? rejection.data : null,
+            stage: rejection.stage,
+            errors: rejection.errors,
+            reasons: rejection.reasons,
+            device: rejection.identity ? rejection.identity.sensor_id : null,
+            replayAttempts: 0,
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+
+        try {
+            fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+            this.fileLines++;
+            if (this.fileLines > 2 * this.maxEntries) {
+                this.compact();
+            }
+        } catch (error) {
+            logger.error('Failed to persist dead letter', { error: error.message });
+        }
+
+        return entry;
+    }
+
+    /**
+     * Rewrite the file with the in-memory entries
+     */
+    compact() {
+        const tmp = `${this.file}.tmp`;
+        const content = this.entries.map(entry => JSON.stringify(entry)).join('\n');
+        fs.writeFileSync(tmp, content ? `${content}\n` : '');
+        fs.renameSync(tmp, this.file);
+        this.fileLines = this.entries.length;
+    }
+
+    /**
+     * Entries matching a filter, newest first
+     * @param {Object} filter - { reason, device, transport, topic, since, ids }
+     * @returns {Array<Object>}
+     */
+    find(filter = {}) {
+        const since = filter.since ? Date.parse(filter.since) : null;
+
+        return this.entries
+            .filter(entry => {
+                if (filter.ids && !filter.ids.includes(entry.id)) return false;
+                if (filter.reason && !entry.reasons.includes(filter.reason)) return false;
+                if (filter.device && entry.device !== filter.device) return false;
+                if (filter.transport && entry.transport !== filter.transport) return false;
+                if (filter.topic && entry.topic !== filter.topic) return false;
+                if (since && Date.parse(entry.receivedAt) < since) return false;
+                return true;
+            })
+            .reverse();
+    }
+
+    /**
+     * Counts by reason and by device
+     * @returns {Object}
+     */
+    stats() {
+        const byReason = {};
+        const byDevice = {};
+
+        for (const entry of this.entries) {
+            for (const reason of entry.reasons) {
+                byReason[reason] = (byReason[reason] || 0) + 1;
+            }
+            const device = entry.device || 'unknown';
+            byDevice[device] = (byDevice[device] || 0) + 1;
+        }
+
+        return {
+            total: this.entries.length,
+            maxEntries: this.maxEntries,
+            byReason,
+            byDevice,
+        };
+    }
+
+    /**
+     * Re-run entries through the pipeline
+     * Entries holding a decoded reading replay only that reading, not the whole
+     * payload it came in. Accepted entries are handed to onReading and removed; the
+     * rest keep their latest errors.
+     * @param {Array<Object>} entries
+     * @param {Function} onReading - (data, identity, meta) => Promise
+     * @returns {Promise<Object>} - { replayed, accepted, rejected, results }
+     */
+    async replay(entries, onReading) {
+        const results = [];
+        const done = new Set();
+
+        for (const entry of entries) {
+            const result = messagePipeline.process({
+                transport: entry.transport,
+                topic: entry.topic,
+                payload: entry.reading || entry.payload,
+            });
+
+            entry.replayAttempts++;
+            entry.lastReplayAt = new Date().toISOString();
+
+            if (result.rejected.length === 0 && result.accepted.length > 0) {
+                for (const { data, identity, meta } of result.accepted) {
+                    await onReading(data, identity, meta);
+                }
+                done.add(entry.id);
+                results.push({ id: entry.id, status: 'accepted', readings: result.accepted.length });
+            } else {
+                const rejection = result.rejected[0]
+                    || result.dropped[0]
+                    || { errors: ['No readings decoded'], reasons: ['parse_error'] };
+                entry.errors = rejection.errors;
+                entry.reasons = rejection.reasons;
+                results.push({ id: entry.id, status: 'rejected', errors: entry.errors });
+            }
+        }
+
+        this.entries = this.entries.filter(entry => !done.has(entry.id));
+        this.compact();
+
+        logger.info('Dead letters replayed', { replayed: entries.length, accepted: done.size });
+
+        return {
+            replayed: entries.length,
+            accepted: done.size,
+            rejected: entries.length - done.size,
+            results,
+        };
+    }
+
+    /**
+     * Parse an integer query parameter
+     * @param {URLSearchParams} query
+     * @param {string} name
+     * @param {number} fallback - When the parameter is absent
+     * @param {number} min
+     * @returns {number}
+     */
+    parseInteger(query, name, fallback, min) {
+        const raw = query.get(name);
+        if (raw === null || raw === '') return fallback;
+
+        const value = Number(raw);
+        if (!Number.isSafeInteger(value) || value < min) {
+            throw new HttpError(400, `Invalid ${name}, expected an integer >= ${min}`, { parameter: name });
+        }
+        return value;
+    }
+
+    /**
+     * Register dead-letter routes on the router
+     * @param {Router} router
+     * @param {Function} onReading - Receives replayed readings: (data, identity, meta) => Promise
+     */
+    register(router, onReading) {
+        const filterFrom = (query) => ({
+            reason: query.get('reason'),
+            device: query.get('device'),
+            transport: query.get('transport'),
+            topic: query.get('topic'),
+            since: query.get('since'),
+        });
+
+        router.get('/api/v1/dead-letters', (req, res) => {
+            const limit = Math.min(this.parseInteger(req.query, 'limit', 100, 1), 1000);
+            const offset = this.parseInteger(req.query, 'offset', 0, 0);
+            const since = req.query.get('since');
+            if (since && isNaN(Date.parse(since))) {
+                throw new HttpError(400, 'Invalid since, expected an ISO 8601 timestamp', { parameter: 'since' });
+            }
+
+            const matches = this.find(filterFrom(req.query));
+            sendJSON(res, 200, {
+                data: matches.slice(offset, offset + limit),
+                pagination: {
+                    limit,
+                    offset,
+                    total: matches.length,
+                    hasMore: offset + limit < matches.length,
+                },
+            });
+        });
+
+        router.get('/api/v1/dead-letters/stats', (req, res) => {
+            sendJSON(res, 200, this.stats());
+        });
+
+        router.post('/api/v1/dead-letters/replay', async (req, res) => {
+            const body = await readJSON(req);
+            const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+            if (!isObject(body) || (!Array.isArray(body.ids) && !isObject(body.filter))) {
+                throw new HttpError(400, 'Body must contain ids (array) or filter (object)');
+            }
+
+            const entries = Array.isArray(body.ids)
+                ? this.find({ ids: body.ids })
+                : this.find(body.filter);
+
+            sendJSON(res, 200, await this.replay(entries.reverse(), onReading));
+        });
+
+        router.get('/api/v1/dead-letters/:id', (req, res) => {
+            const entry = this.entries.find(e => e.id === req.params.id);
+            if (!entry) {
+                throw new HttpError(404, 'Dead letter not found');
+            }
+            sendJSON(res, 200, entry);
+        });
+    }
+}
+
+module.exports = new DeadLetterStore();
@@ -0,0 +1,281 @@
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { sendJSON } = require('./http-router');
+
+// Missing sequence numbers remembered per device, to tell late readings from restarts
+const MAX_PENDING = 100;
+
+/**
+ * Parse a device timestamp
+ * Epoch numbers are detected by magnitude (s, ms, µs, ns); ISO dates without a zone are UTC.
+ * @param {string|number} value
+ * @returns {Date|null}
+ */
+function parseTimestamp(value) {
+    const raw = String(value).trim();
+
+    let ms;
+    if (/^\d+(\.\d+)?$/.test(raw)) {
+        const epoch = parseFloat(raw);
+        if (epoch < 1e11) ms = epoch * 1000;
+        else if (epoch < 1e14) ms = epoch;
+        else if (epoch < 1e17) ms = epoch / 1e3;
+        else ms = epoch / 1e6;
+    } else {
+        let text = raw.replace(' ', 'T');
+        if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+            text += 'Z';
+        }
+        ms = Date.parse(text);
+    }
+
+    return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+/**
+ * Drops readings that were already handled and tracks per-device sequence numbers
+ *
+ * A reading is identified by its device plus its device timestamp, message ID, or
+ * sequence number within a boot session, whichever the payload carries; readings
+ * with none of them are never dropped. A sequence number alone restarts with the
+ * device, so it only counts together with a timestamp or session ID.
+ * Keys are remembered for DEDUP_WINDOW_SECONDS, up to DEDUP_MAX_ENTRIES with the
+ * oldest evicted first. A sequence number that skips ahead is a gap; one that goes
+ * back is a late reading if it was missing, and a device restart otherwise.
+ */
+class Deduplicator {
+    constructor() {
+        // key -> time first seen (ms), in insertion order
+        this.seen = new Map();
+        this.sequences = new Map();
+        this.duplicates = 0;
+        this.evicted = 0;
+    }
+
+    /**
+     * Timestamp, message ID, sequence number and boot session of a decoded payload
+     * @param {Object} raw - Payload before validation
+     * @returns {Object} - { timestamp: Date|null, id: string|null, sequence: number|null, session: string|null }
+     */
+    describe(raw) {
+        const pick = (fields) => {
+            const field = fields.find(name => raw[name] !== undefined && raw[name] !== null && raw[name] !== '');
+            return field !== undefined ? raw[field] : null;
+        };
+        const { timestampFields, idFields, sequenceFields, sessionFields } = config.dedup;
+
+        const timestamp = pick(timestampFields);
+        const id = pick(idFields);
+        const sequence = pick(sequenceFields);
+        const session = pick(sessionFields);
+
+        return {
+            timestamp: timestamp !== null ? parseTimestamp(timestamp) : null,
+            id: id !== null ? String(id) : null,
+            sequence: sequence !== null && Number.isSafeInteger(Number(sequence)) ? Number(sequence) : null,
+            session: session !== null ? String(session) : null,
+        };
+    }
+
+    /**
+     * Cache key of a reading
+     * @param {Object} identity
+     * @param {Object} meta - From describe()
+     * @returns {string|null} - null if the reading cannot be told apart from others
+     */
+    key(identity, meta) {
+        const { timestamp = null, id = null, sequence = null, session = null } = meta;
+        const time = timestamp ? timestamp.getTime() : null;
+
+        // A sequence number starts over when the device restarts, so it needs a timestamp or session to go with it
+        if (time === null && id === null && (session === null || sequence === null)) return null;
+        return JSON.stringify([identity.sensor_id, time, id, session, sequence]);
+    }
+
+    /**
+     * Remember a reading, or report that it was already handled
+     * @param {Object} identity - Device identity
+     * @param {Object} meta - From describe()
+     * @param {number} now - Time in ms
+     * @returns {boolean}
+     */
+    isDuplicate(identity, meta = {}, now = Date.now()) {
+        if (!config.dedup.enabled) return false;
+        const key = this.key(identity, meta);
+        if (key === null) return false;
+
+        this.expire(now);
+
+        if (this.seen.has(key)) {
+            this.duplicates++;
+            metrics.duplicates.inc();
+            logger.debug('Duplicate reading dropped', {
+                sensor_id: identity.sensor_id,
+                timestamp: meta.timestamp,
+                id: meta.id,
+                sequence: meta.sequence,
+                session: meta.session,
+            });
+            return true;
+        }
+
+        this.seen.set(key, now);
+        if (this.seen.size > config.dedup.maxEntries) {
+            this.seen.delete(this.seen.keys().next().value);
+            this.evicted++;
+        }
+        return false;
+    }
+
+    /**
+     * Forget readings older than the window
+     * @param {number} now - Time in ms
+     */
+    expire(now) {
+        const cutoff = now - config.dedup.window * 1000;
+        for (const [key, seenAt] of this.seen) {
+            if (seenAt >= cutoff) break;
+            this.seen.delete(key);
+        }
+    }
+
+    /**
+     * Compare a reading's sequence number with the device's last one
+     * @param {Object} identity - Device identity
+     * @param {Object} meta - From describe()
+     * @param {number} now - Time in ms
+     * @returns {string|null} - 'gap', 'late' or 'restart'; null when in order or unnumbered
+     */
+    trackSequence(identity, meta, now = Date.now()) {
+        if (!config.dedup.enabled || !meta || typeof meta.sequence !== 'number') return null;
+
+        const { sensor_id } = identity;
+        const { sequence } = meta;
+        const state = this.sequences.get(sensor_id);
+
+        if (!state) {
+            this.sequences.set(sensor_id, {
+                last: sequence,
+                received: 1,
+                missing: 0,
+                late: 0,
+                restarts: 0,
+                lastGapAt: null,
+                pending: new Set(),
+            });
+            return null;
+        }
+
+        // Repeated after the dedup window, or relayed twice to the leader
+        if (sequence === state.last) return null;
+
+        state.received++;
+        const previous = state.last;
+
+        if (sequence === previous + 1) {
+            state.last = sequence;
+            return null;
+        }
+
+        if (sequence > previous) {
+            const missing = sequence - previous - 1;
+            for (let next = previous + 1; next < sequence && state.pending.size < MAX_PENDING; next++) {
+                state.pending.add(next);
+            }
+            state.last = sequence;
+            state.missing += missing;
+            state.lastGapAt = now;
+            metrics.sequenceMissing.inc({ sensor_id }, missing);
+            logger.warn('Sequence gap detected', { sensor_id, previous, sequence, missing });
+            return 'gap';
+        }
+
+        if (state.pending.delete(sequence)) {
+            state.late++;
+            logger.info('Late reading filled a sequence gap', { sensor_id, sequence, last: previous });
+            return 'late';
+        }
+
+        state.last = sequence;
+        state.restarts++;
+        state.pending.clear();
+        logger.info('Device sequence restarted', { sensor_id, previous, sequence });
+        return 'restart';
+    }
+
+    /**
+     * Time to store a reading at
+     * The device timestamp unless WRITE_DEVICE_TIMESTAMP=false or it is further than
+     * MAX_CLOCK_SKEW_SECONDS from now; the time of arrival otherwise.
+     * @param {Object} meta - From describe()
+     * @param {number} now - Time in ms
+     * @returns {Date}
+     */
+    writeTime(meta, now = Date.now()) {
+        const { deviceTime, maxClockSkew } = config.dedup;
+        const timestamp = meta && meta.timestamp;
+
+        if (deviceTime && timestamp) {
+            if (Math.abs(now - timestamp.getTime()) <= maxClockSkew * 1000) {
+                return timestamp;
+            }
+            logger.debug('Device timestamp too far from server time, using arrival time', {
+                timestamp: timestamp.toISOString(),
+                maxClockSkew,
+            });
+        }
+        return new Date(now);
+    }
+
+    /**
+     * Sequence state per device
+     * @returns {Object}
+     */
+    summary() {
+        const devices = [...this.sequences.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([sensorId, state]) => ({
+                sensor_id: sensorId,
+                last_sequence: state.last,
+                received: state.received,
+                missing: state.missing,
+                late: state.late,
+                restarts: state.restarts,
+                last_gap_at: state.lastGapAt !== null ? new Date(state.lastGapAt).toISOString() : null,
+            }));
+
+        return {
+            total: devices.length,
+            missing: devices.reduce((sum, device) => sum + device.missing, 0),
+            late: devices.reduce((sum, device) => sum + device.late, 0),
+            devices,
+        };
+    }
+
+    /**
+     * Cache summary for health reporting
+     * @returns {Object}
+     */
+    health() {
+        return {
+            enabled: config.dedup.enabled,
+            cached: this.seen.size,
+            window: config.dedup.window,
+            duplicates: this.duplicates,
+            evicted: this.evicted,
+        };
+    }
+
+    /**
+     * Register the sequence route; must come before /api/v1/devices/:id
+     * @param {Router} router
+     */
+    register(router) {
+        router.get('/api/v1/devices/sequences', (req, res) => {
+            sendJSON(res, 200, this.summary());
+        });
+    }
+}
+
+module.exports = new Deduplicator();
@@ -0,0 +1,51 @@
+const config = require('./config');
+
+/**
+ * Resolves the device identity (sensor_id, location, device_type) of a reading
+ * Topic segments take precedence, then payload fields, then configured defaults
+ */
+class DeviceIdentityResolver {
+    constructor() {
+        this.tagKeys = ['sensor_id', 'location', 'device_type'];
+    }
+
+    /**
+     * Resolve identity for a message
+     * @param {Object} params - Named topic segments
+     * @param {Object} payload - Raw (unvalidated) message payload
+     * @returns {Object} - { sensor_id, location, device_type }
+     */
+    resolve(params = {}, payload = {}) {
+        const { payloadFields, defaults } = config.identity;
+        const source = payload && typeof payload === 'object' ? payload : {};
+        const identity = {};
+
+        for (const key of this.tagKeys) {
+            const fromTopic = params[key];
+            const fromPayload = (payloadFields[key] || [])
+                .map(field => source[field])
+                .find(value => this.isUsable(value));
+
+            if (this.isUsable(fromTopic)) {
+                identity[key] = String(fromTopic);
+            } else if (this.isUsable(fromPayload)) {
+                identity[key] = String(fromPayload);
+            } else {
+                identity[key] = defaults[key];
+            }
+        }
+
+        return identity;
+    }
+
+    /**
+     * Check if a value can be used as a tag value
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isUsable(value) {
+        return (typeof value === 'string' && value.trim() !== '') || typeof value === 'number';
+    }
+}
+
+module.exports = new DeviceIdentityResolver();
@@ -0,0 +1,267 @@
+const EventEmitter = require('events');
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const deviceRegistry = require('./device-registry');
+const { HttpError, sendJSON } = require('./http-router');
+
+const STATUSES = ['online', 'stale', 'offline', 'unknown'];
+
+/**
+ * Tracks last-seen time and message rate per device
+ *
+ * Devices become `stale` and then `offline` after configurable silences. Enabled
+ * registry devices that have not reported yet start as `unknown` and go offline
+ * the same way. Every transition is emitted as a 'status' event.
+ */
+class DeviceMonitor extends EventEmitter {
+    constructor() {
+        super();
+        this.devices = new Map();
+        this.checkTimer = null;
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Seed registered devices and start the periodic silence check
+     * State from an earlier run (e.g. before losing cluster leadership) is discarded.
+     */
+    start() {
+        this.startedAt = Date.now();
+        this.devices.clear();
+
+        for (const device of deviceRegistry.devices.values()) {
+            if (device.enabled) {
+                this.deviceState(device);
+            }
+        }
+
+        this.checkTimer = setInterval(() => this.check(), config.liveness.checkInterval);
+        this.updateMetrics();
+
+        logger.info('Device liveness monitor started', {
+            devices: this.devices.size,
+            staleAfter: config.liveness.staleAfter,
+            offlineAfter: config.liveness.offlineAfter,
+        });
+    }
+
+    /**
+     * Record a validated reading from a device
+     * @param {Object} identity - { sensor_id, location, device_type }
+     * @param {number} now - Time in ms
+     */
+    record(identity, now = Date.now()) {
+        const device = this.deviceState(identity);
+        device.location = identity.location;
+        device.device_type = identity.device_type;
+        device.lastSeen = now;
+        device.messageCount++;
+
+        device.recent.push(now);
+        this.trimRecent(device, now);
+
+        if (device.status !== 'online') {
+            this.transition(device, 'online', now);
+        }
+    }
+
+    /**
+     * Re-evaluate every device's status from its silence
+     * @param {number} now - Time in ms
+     */
+    check(now = Date.now()) {
+        for (const device of this.devices.values()) {
+            this.trimRecent(device, now);
+
+            const silence = this.silenceSeconds(device, now);
+            let status = device.status;
+            if (silence >= config.liveness.offlineAfter) {
+                status = 'offline';
+            } else if (silence >= config.liveness.staleAfter && device.lastSeen !== null) {
+                status = 'stale';
+            }
+
+            if (status !== device.status) {
+                this.transition(device, status, now);
+            }
+        }
+    }
+
+    /**
+     * Change a device's status and emit the transition
+     * @param {Object} device
+     * @param {string} status
+     * @param {number} now
+     */
+    transition(device, status, now) {
+        const previous = device.status;
+        device.status = status;
+        device.since = now;
+
+        const event = {
+            time: new Date(now).toISOString(),
+            sensor_id: device.sensor_id,
+            location: device.location,
+            device_type: device.device_type,
+            status,
+            previous,
+            last_seen: device.lastSeen !== null ? new Date(device.lastSeen).toISOString() : null,
+            silence_seconds: this.silenceSeconds(device, now),
+            message_rate: this.messageRate(device),
+        };
+
+        logger[status === 'online' ? 'info' : 'warn']('Device status changed', {
+            sensor_id: device.sensor_id,
+            status,
+            previous,
+            silenceSeconds: Math.round(event.silence_seconds),
+        });
+
+        this.updateMetrics();
+        this.emit('status', event);
+    }
+
+    /**
+     * Seconds since the device's last reading (or since start if never seen)
+     * @param {Object} device
+     * @param {number} now
+     * @returns {number}
+     */
+    silenceSeconds(device, now) {
+        return (now - (device.lastSeen !== null ? device.lastSeen : this.startedAt)) / 1000;
+    }
+
+    /**
+     * Messages per minute over the rate window
+     * @param {Object} device
+     * @returns {number}
+     */
+    messageRate(device) {
+        return device.recent.length / (config.liveness.rateWindow / 60);
+    }
+
+    /**
+     * Drop timestamps older than the rate window
+     * @param {Object} device
+     * @param {number} now
+     */
+    trimRecent(device, now) {
+        const cutoff = now - config.liveness.rateWindow * 1000;
+        let index = 0;
+        while (index < device.recent.length && device.recent[index] < cutoff) {
+            index++;
+        }
+        if (index > 0) {
+            device.recent.splice(0, index);
+        }
+    }
+
+    /**
+     * State of one device, created on first use
+     * @param {Object} identity - { sensor_id, location, device_type }
+     * @returns {Object}
+     */
+    deviceState(identity) {
+        let device = this.devices.get(identity.sensor_id);
+        if (!device) {
+            device = {
+                sensor_id: identity.sensor_id,
+                location: identity.location,
+                device_type: identity.device_type,
+                status: 'unknown',
+                since: Date.now(),
+                lastSeen: null,
+                messageCount: 0,
+                recent: [],
+            };
+            this.devices.set(identity.sensor_id, device);
+        }
+        return device;
+    }
+
+    /**
+     * Update the per-status device gauge
+     */
+    updateMetrics() {
+        const counts = this.counts();
+        for (const status of STATUSES) {
+            metrics.devices.set({ status }, counts[status]);
+        }
+    }
+
+    /**
+     * Number of devices per status
+     * @returns {Object}
+     */
+    counts() {
+        const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+        for (const device of this.devices.values()) {
+            counts[device.status]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Fleet summary
+     * @param {string} status - Optional status filter
+     * @returns {Object}
+     */
+    summary(status = null) {
+        const now = Date.now();
+        const devices = [...this.devices.values()]
+            .filter(device => !status || device.status === status)
+            .sort((a, b) => a.sensor_id.localeCompare(b.sensor_id))
+            .map(device => {
+                const registered = deviceRegistry.devices.get(device.sensor_id);
+                return {
+                    sensor_id: device.sensor_id,
+                    name: registered ? registered.name : null,
+                    location: device.location,
+                    device_type: device.device_type,
+                    status: device.status,
+                    since: new Date(device.since).toISOString(),
+                    last_seen: device.lastSeen !== null ? new Date(device.lastSeen).toISOString() : null,
+                    silence_seconds: Math.round(this.silenceSeconds(device, now)),
+                    message_rate: Number(this.messageRate(device).toFixed(2)),
+                    messages: device.messageCount,
+                };
+            });
+
+        return {
+            total: this.devices.size,
+            ...this.counts(),
+            thresholds: {
+                stale_after: config.liveness.staleAfter,
+                offline_after: config.liveness.offlineAfter,
+            },
+            devices,
+        };
+    }
+
+    /**
+     * Register the status route; must come before /api/v1/devices/:id
+     * @param {Router} router
+     */
+    register(router) {
+        router.get('/api/v1/devices/status', (req, res) => {
+            const status = req.query.get('status');
+            if (status && !STATUSES.includes(status)) {
+                throw new HttpError(400, `Invalid status, expected one of: ${STATUSES.join(', ')}`, {
+                    parameter: 'status',
+                });
+            }
+            sendJSON(res, 200, this.summary(status));
+        });
+    }
+
+    /**
+     * Stop the periodic check
+     */
+    stop() {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+    }
+}
+
+module.exports = new DeviceMonitor();
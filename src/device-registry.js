@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const sensorSchemas = require('./sensor-schemas');
+const { HttpError, sendJSON, readJSON } = require('./http-router');
+
+const SENSOR_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+/**
+ * Registry of known devices and their metadata, persisted to a JSON file
+ *
+ * Registered devices override the location and device_type resolved from the
+ * message and add coordinates. Messages from unregistered devices are allowed,
+ * rejected or quarantined according to config.registry.unregistered.
+ */
+class DeviceRegistry {
+    constructor() {
+        this.file = config.registry.file;
+        this.policy = config.registry.unregistered;
+        this.devices = new Map();
+    }
+
+    /**
+     * Load devices from disk
+     */
+    open() {
+        if (!['allow', 'reject', 'quarantine'].includes(this.policy)) {
+            throw new Error(`Invalid unregistered device policy: ${this.policy}`);
+        }
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        if (fs.existsSync(this.file)) {
+            const content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            for (const device of content.devices || []) {
+                this.devices.set(device.sensor_id, device);
+            }
+        }
+
+        logger.info('Device registry opened', {
+            file: this.file,
+            devices: this.devices.size,
+            unregisteredPolicy: this.policy,
+        });
+    }
+
+    /**
+     * Write all devices to disk
+     */
+    save() {
+        const tmp = `${this.file}.tmp`;
+        const content = { devices: [...this.devices.values()] };
+        fs.writeFileSync(tmp, `${JSON.stringify(content, null, 2)}\n`);
+        fs.renameSync(tmp, this.file);
+    }
+
+    /**
+     * Apply registry metadata to a resolved identity
+     * @param {Object} identity - { sensor_id, location, device_type }
+     * @returns {Object} - { status: 'registered' | 'unregistered' | 'disabled', identity }
+     */
+    enrich(identity) {
+        const device = this.devices.get(identity.sensor_id);
+        if (!device) {
+            return { status: 'unregistered', identity };
+        }
+
+        const enriched = {
+            ...identity,
+            location: device.location || identity.location,
+            device_type: device.device_type || identity.device_type,
+        };
+        if (device.latitude !== null && device.longitude !== null) {
+            enriched.latitude = device.latitude;
+            enriched.longitude = device.longitude;
+        }
+
+        return {
+            status: device.enabled ? 'registered' : 'disabled',
+            identity: enriched,
+        };
+    }
+
+    /**
+     * Validate and normalize a device definition
+     * @param {Object} body - Request body
+     * @param {Object} existing - Current device when updating
+     * @returns {Object} - Normalized device
+     */
+    normalize(body, existing = null) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new HttpError(400, 'Device must be a JSON object');
+        }
+
+        const merged = { ...(existing || {}), ...body };
+        const invalid = (parameter, message) => new HttpError(400, message, { parameter });
+
+        if (existing && body.sensor_id !== undefined && body.sensor_id !== existing.sensor_id) {
+            throw invalid('sensor_id', 'sensor_id cannot be changed');
+        }
+        if (typeof merged.sensor_id !== 'string' || !SENSOR_ID_PATTERN.test(merged.sensor_id)) {
+            throw invalid('sensor_id', 'sensor_id must be 1-64 characters of letters, digits, _ . : -');
+        }
+
+        for (const key of ['name', 'location']) {
+            if (merged[key] !== undefined && merged[key] !== null && typeof merged[key] !== 'string') {
+                throw invalid(key, `${key} must be a string`);
+            }
+        }
+
+        const deviceType = merged.device_type !== undefined && merged.device_type !== null
+            ? merged.device_type
+            : config.identity.defaults.device_type;
+        if (!sensorSchemas.schemas.has(deviceType)) {
+            throw new HttpError(400, `Unknown device_type: ${deviceType}`, {
+                parameter: 'device_type',
+                allowed: [...sensorSchemas.schemas.keys()],
+            });
+        }
+
+        const coordinate = (key, limit) => {
+            const value = merged[key];
+            if (value === undefined || value === null) return null;
+            if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > limit) {
+                throw invalid(key, `${key} must be a number between -${limit} and ${limit}`);
+            }
+            return value;
+        };
+        const latitude = coordinate('latitude', 90);
+        const longitude = coordinate('longitude', 180);
+        if ((latitude === null) !== (longitude === null)) {
+            throw invalid('latitude', 'latitude and longitude must be set together');
+        }
+
+        let installedAt = merged.installed_at === undefined ? null : merged.installed_at;
+        if (installedAt !== null) {
+            if (typeof installedAt !== 'string' || isNaN(Date.parse(installedAt))) {
+                throw invalid('installed_at', 'installed_at must be an ISO 8601 date');
+            }
+            installedAt = installedAt.trim();
+        }
+
+        if (merged.enabled !== undefined && typeof merged.enabled !== 'boolean') {
+            throw invalid('enabled', 'enabled must be a boolean');
+        }
+
+        const now = new Date().toISOString();
+        return {
+            sensor_id: merged.sensor_id,
+            name: merged.name || merged.sensor_id,
+            location: merged.location || config.identity.defaults.location,
+            latitude,
+            longitude,
+            installed_at: installedAt,
+            device_type: deviceType,
+            enabled: merged.enabled !== false,
+            created_at: existing ? existing.created_at : now,
+            updated_at: now,
+        };
+    }
+
+    /**
+     * Register device routes on the router
+     * @param {Router} router
+     */
+    register(router) {
+        router.get('/api/v1/devices', (req, res) => {
+            const location = req.query.get('location');
+            const deviceType = req.query.get('device_type');
+            const enabled = req.query.get('enabled');
+
+            const devices = [...this.devices.values()].filter(device => {
+                if (location && device.location !== location) return false;
+                if (deviceType && device.device_type !== deviceType) return false;
+                if (enabled !== null && String(device.enabled) !== enabled) return false;
+                return true;
+            });
+
+            sendJSON(res, 200, { data: devices, count: devices.length });
+        });
+
+        router.post('/api/v1/devices', async (req, res) => {
+            const device = this.normalize(await readJSON(req));
+            if (this.devices.has(device.sensor_id)) {
+                throw new HttpError(409, `Device already registered: ${device.sensor_id}`);
+            }
+
+            this.devices.set(device.sensor_id, device);
+            this.save();
+            logger.info('Device registered', { sensor_id: device.sensor_id });
+            sendJSON(res, 201, device);
+        });
+
+        router.get('/api/v1/devices/:id', (req, res) => {
+            sendJSON(res, 200, this.getOrThrow(req.params.id));
+        });
+
+        router.put('/api/v1/devices/:id', async (req, res) => {
+            const existing = this.getOrThrow(req.params.id);
+            const device = this.normalize(await readJSON(req), existing);
+
+            this.devices.set(device.sensor_id, device);
+            this.save();
+            logger.info('Device updated', { sensor_id: device.sensor_id });
+            sendJSON(res, 200, device);
+        });
+
+        router.delete('/api/v1/devices/:id', (req, res) => {
+            this.getOrThrow(req.params.id);
+
+            this.devices.delete(req.params.id);
+            this.save();
+            logger.info('Device removed', { sensor_id: req.params.id });
+            res.writeHead(204);
+            res.end();
+        });
+    }
+
+    /**
+     * Registered device or a 404 error
+     * @param {string} sensorId
+     * @returns {Object}
+     */
+    getOrThrow(sensorId) {
+        const device = this.devices.get(sensorId);
+        if (!device) {
+            throw new HttpError(404, `Device not found: ${sensorId}`);
+        }
+        return device;
+    }
+}
+
+module.exports = new DeviceRegistry();
@@ -0,0 +1,240 @@
+const config = require('./config');
+const logger = require('./logger');
+const { HttpError } = require('./http-router');
+
+const EVENT_TYPES = ['reading', 'alert', 'connection', 'device_status'];
+
+/**
+ * Server-Sent Events stream of readings, alerts, device status and connection-state changes
+ *
+ * Every published event gets an increasing id and is kept in a small ring buffer,
+ * so clients reconnecting with Last-Event-ID receive what they missed.
+ */
+class EventStream {
+    constructor() {
+        this.buffer = [];
+        this.nextId = 1;
+        this.clients = new Set();
+        this.connectionStates = new Map();
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Publish a named event to all matching clients
+     * @param {string} event - reading | alert | connection | device_status
+     * @param {Object} data
+     */
+    publish(event, data) {
+        const entry = { id: this.nextId++, event, data };
+
+        this.buffer.push(entry);
+        if (this.buffer.length > config.stream.bufferSize) {
+            this.buffer.shift();
+        }
+
+        for (const client of this.clients) {
+            this.deliver(client, entry);
+        }
+    }
+
+    /**
+     * Publish a validated reading
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - { sensor_id, location, device_type }
+     * @param {Date} timestamp
+     */
+    publishReading(data, identity, timestamp = new Date()) {
+        this.publish('reading', {
+            time: timestamp.toISOString(),
+            sensor_id: identity.sensor_id,
+            location: identity.location,
+            device_type: identity.device_type,
+            data,
+        });
+    }
+
+    /**
+     * Publish a connection-state change (repeated states are ignored)
+     * @param {string} component - mqtt | websocket | influxdb
+     * @param {boolean} connected
+     */
+    publishConnection(component, connected) {
+        if (this.connectionStates.get(component) === connected) return;
+        this.connectionStates.set(component, connected);
+
+        this.publish('connection', {
+            time: new Date().toISOString(),
+            component,
+            connected,
+        });
+    }
+
+    /**
+     * Parse stream filters from query parameters
+     * @param {URLSearchParams} query
+     * @returns {Object}
+     */
+    parseFilters(query) {
+        const toSet = (name) => {
+            const values = query.getAll(name)
+                .flatMap(value => value.split(','))
+                .map(value => value.trim())
+                .filter(Boolean);
+            return values.length > 0 ? new Set(values) : null;
+        };
+
+        const filters = {
+            events: toSet('event'),
+            sensorIds: toSet('sensor_id'),
+            locations: toSet('location'),
+            fields: toSet('field'),
+        };
+
+        if (filters.events) {
+            const unknown = [...filters.events].filter(event => !EVENT_TYPES.includes(event));
+            if (unknown.length > 0) {
+                throw new HttpError(400, `Unknown event: ${unknown.join(', ')}`, {
+                    parameter: 'event',
+                    allowed: EVENT_TYPES,
+                });
+            }
+        }
+
+        return filters;
+    }
+
+    /**
+     * Apply a client's filters to an event
+     * @param {Object} filters
+     * @param {Object} entry - { id, event, data }
+     * @returns {Object|null} - Data to send, or null if filtered out
+     */
+    project(filters, entry) {
+        const { event, data } = entry;
+        if (filters.events && !filters.events.has(event)) return null;
+        if (event === 'connection') return data;
+
+        if (filters.sensorIds && !filters.sensorIds.has(data.sensor_id)) return null;
+        if (filters.locations && !filters.locations.has(data.location)) return null;
+        if (!filters.fields || event === 'device_status') return data;
+
+        if (event === 'alert') {
+            return filters.fields.has(data.field) ? data : null;
+        }
+
+        const fields = {};
+        for (const [field, value] of Object.entries(data.data)) {
+            if (filters.fields.has(field)) fields[field] = value;
+        }
+        return Object.keys(fields).length > 0 ? { ...data, data: fields } : null;
+    }
+
+    /**
+     * Write one event to a client if it matches its filters
+     * Events are skipped while the client's socket buffer is full.
+     * @param {Object} client - { res, filters, dropped }
+     * @param {Object} entry
+     */
+    deliver(client, entry) {
+        const data = this.project(client.filters, entry);
+        if (!data) return;
+
+        if (client.res.writableLength > config.stream.maxBufferedBytes) {
+            client.dropped++;
+            return;
+        }
+
+        client.res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Send buffered events newer than lastEventId
+     * @param {Object} client
+     * @param {string} lastEventId
+     */
+    resume(client, lastEventId) {
+        const lastId = parseInt(lastEventId, 10);
+        if (isNaN(lastId)) return;
+
+        const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.nextId;
+        if (lastId + 1 < oldest) {
+            // Some events were already evicted from the ring buffer
+            client.res.write(`event: reset\ndata: ${JSON.stringify({ lastEventId: lastId, oldestAvailable: oldest })}\n\n`);
+        }
+
+        for (const entry of this.buffer) {
+            if (entry.id > lastId) {
+                this.deliver(client, entry);
+            }
+        }
+    }
+
+    /**
+     * Keep idle connections open through proxies
+     */
+    heartbeat() {
+        for (const client of this.clients) {
+            client.res.write(': keepalive\n\n');
+        }
+    }
+
+    /**
+     * Register the stream route on the router
+     * @param {Router} router
+     */
+    register(router) {
+        router.get('/api/v1/stream', (req, res) => {
+            const client = {
+                res,
+                filters: this.parseFilters(req.query),
+                dropped: 0,
+            };
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            });
+            res.write(`retry: ${config.stream.retryInterval}\n\n`);
+
+            this.resume(client, req.headers['last-event-id'] || req.query.get('lastEventId'));
+            this.clients.add(client);
+
+            if (!this.heartbeatTimer) {
+                this.heartbeatTimer = setInterval(() => this.heartbeat(), config.stream.heartbeatInterval);
+            }
+
+            logger.info('Event stream client connected', {
+                remote: req.socket.remoteAddress,
+                clients: this.clients.size,
+            });
+
+            req.on('close', () => {
+                this.clients.delete(client);
+                if (this.clients.size === 0) {
+                    clearInterval(this.heartbeatTimer);
+                    this.heartbeatTimer = null;
+                }
+                logger.info('Event stream client disconnected', {
+                    clients: this.clients.size,
+                    dropped: client.dropped,
+                });
+            });
+        });
+    }
+
+    /**
+     * End all open streams
+     */
+    close() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+    }
+}
+
+module.exports = new EventStream();
@@ -0,0 +1,407 @@
+const zlib = require('zlib');
+const { once } = require('events');
+const config = require('./config');
+const logger = require('./logger');
+const influxDBWriter = require('./influxdb-writer');
+const dataValidator = require('./data-validator');
+const { HttpError } = require('./http-router');
+const { QueryValidationError, validateTime, validateDuration } = require('./flux-query-builder');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    excel: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+};
+
+const UNIT_MS = {
+    ns: 1e-6, us: 1e-3, µs: 1e-3, ms: 1, s: 1000, m: 60000, h: 3600000,
+    d: 86400000, w: 604800000, mo: 2592000000, y: 31536000000,
+};
+
+/**
+ * Streaming export of stored readings as CSV, Excel-friendly CSV or NDJSON
+ *
+ * The requested range is queried in consecutive chunks (aligned to the resample
+ * window) and each row is written as it arrives, honouring backpressure, so
+ * multi-month exports run in constant memory.
+ */
+class ExportAPI {
+    constructor() {
+        this.aggregates = ['mean', 'median', 'min', 'max', 'first', 'last'];
+        this.timeFormats = new Map();
+    }
+
+    /**
+     * Register the export route on the router
+     * @param {Router} router
+     */
+    register(router) {
+        router.get('/api/v1/export', (req, res) => this.handleExport(req, res));
+    }
+
+    /**
+     * GET /api/v1/export
+     */
+    async handleExport(req, res) {
+        const params = this.parseParams(req.query);
+
+        if (!influxDBWriter.isConnected) {
+            throw new HttpError(503, 'InfluxDB not connected');
+        }
+
+        const chunks = this.chunks(params);
+        // Build every query up front so invalid parameters fail before streaming starts
+        const queries = this.mapValidation(() => chunks.map(([start, stop]) => influxDBWriter.exportQuery({
+            ...params,
+            start: new Date(start),
+            stop: new Date(stop),
+        })));
+
+        const format = FORMATS[params.format];
+        const filename = `readings_${new Date(params.start).toISOString().slice(0, 10)}_${new Date(params.stop).toISOString().slice(0, 10)}.${format.extension}`;
+
+        res.writeHead(200, {
+            'Content-Type': params.gzip ? 'application/gzip' : format.contentType,
+            'Content-Disposition': `attachment; filename="${params.gzip ? `${filename}.gz` : filename}"`,
+            'Cache-Control': 'no-store',
+        });
+
+        let out = res;
+        if (params.gzip) {
+            out = zlib.createGzip();
+            out.pipe(res);
+        }
+
+        // Stop querying and writing as soon as the client goes away
+        const disconnect = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) disconnect.abort();
+        });
+
+        const write = async (text) => {
+            if (!out.write(text)) {
+                await once(out, 'drain', { signal: disconnect.signal });
+            }
+        };
+
+        const started = Date.now();
+        let rowCount = 0;
+
+        try {
+            await write(this.header(params));
+
+            for (const query of queries) {
+                for await (const row of influxDBWriter.streamRows(query)) {
+                    await write(this.formatRow(row, params));
+                    rowCount++;
+                }
+                if (disconnect.signal.aborted) break;
+            }
+
+            if (disconnect.signal.aborted) {
+                logger.info('Export aborted by client', { rows: rowCount });
+                out.destroy();
+                return;
+            }
+
+            out.end();
+            logger.info('Export completed', {
+                format: params.format,
+                rows: rowCount,
+                chunks: queries.length,
+                durationMs: Date.now() - started,
+            });
+        } catch (error) {
+            if (disconnect.signal.aborted) {
+                logger.info('Export aborted by client', { rows: rowCount });
+                out.destroy();
+                return;
+            }
+
+            // Headers are gone; cut the stream so the client does not get a truncated file that looks complete
+            logger.error('Export failed', { error: error.message, rows: rowCount });
+            out.destroy();
+            res.destroy(error);
+        }
+    }
+
+    /**
+     * Parse and validate export parameters
+     * @param {URLSearchParams} query
+     * @returns {Object}
+     */
+    parseParams(query) {
+        const list = (name) => query.getAll(name)
+            .flatMap(value => value.split(','))
+            .map(value => value.trim())
+            .filter(Boolean);
+
+        const format = query.get('format') || 'csv';
+        if (!FORMATS[format]) {
+            throw new HttpError(400, `Invalid format, expected one of: ${Object.keys(FORMATS).join(', ')}`, {
+                parameter: 'format',
+            });
+        }
+
+        const timeZone = query.get('tz') || config.export.timeZone;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (error) {
+            throw new HttpError(400, `Invalid tz: ${timeZone}`, { parameter: 'tz' });
+        }
+
+        const now = Date.now();
+        const start = this.mapValidation(() => this.toEpoch(query.get('start') || '-24h', 'start', now));
+        const stop = this.mapValidation(() => this.toEpoch(query.get('stop') || 'now', 'stop', now));
+        if (stop <= start) {
+            throw new HttpError(400, 'stop must be after start', { parameter: 'stop' });
+        }
+
+        const every = query.get('every') || null;
+        let everyMs = null;
+        if (every) {
+            everyMs = this.mapValidation(() => this.durationMs(validateDuration(every, 'every')));
+            if (every.startsWith('-') || /mo|y/.test(every) || everyMs < 1000) {
+                throw new HttpError(400, 'Invalid every, expected a positive fixed duration of at least 1s (e.g. 5m, 1h, 1d)', {
+                    parameter: 'every',
+                });
+            }
+        }
+
+        const fn = query.get('fn') || 'mean';
+        if (!this.aggregates.includes(fn)) {
+            throw new HttpError(400, `Invalid fn, expected one of: ${this.aggregates.join(', ')}`, { parameter: 'fn' });
+        }
+
+        const fields = list('field');
+        const gzipParam = query.get('gzip');
+
+        return {
+            format,
+            timeZone,
+            start,
+            stop,
+            sensorIds: list('sensor_id'),
+            locations: list('location'),
+            qualities: list('quality'),
+            fields: fields.length > 0 ? fields : config.export.fields,
+            every,
+            everyMs,
+            fn,
+            offset: everyMs ? this.windowOffset(everyMs, timeZone, start) : null,
+            gzip: gzipParam === 'true' || gzipParam === '1',
+        };
+    }
+
+    /**
+     * Split the range into chunks; with resampling, boundaries fall on window edges
+     * @param {Object} params
+     * @returns {Array<Array<number>>} - [[startMs, stopMs], ...]
+     */
+    chunks({ start, stop, everyMs, offset }) {
+        let size = config.export.chunkHours * 3600000;
+        let next = start + size;
+
+        if (everyMs) {
+            size = Math.ceil(size / everyMs) * everyMs;
+            const offsetMs = offset ? this.durationMs(offset) : 0;
+            next = Math.floor((start - offsetMs) / everyMs) * everyMs + offsetMs + size;
+        }
+
+        const chunks = [];
+        let from = start;
+        while (from < stop) {
+            const to = Math.min(next, stop);
+            chunks.push([from, to]);
+            from = to;
+            next += size;
+        }
+        return chunks;
+    }
+
+    /**
+     * Window offset that aligns resample windows to local time in the export time zone
+     * @param {number} everyMs
+     * @param {string} timeZone
+     * @param {number} at - Reference time for the zone's UTC offset
+     * @returns {string|null} - Flux duration or null
+     */
+    windowOffset(everyMs, timeZone, at) {
+        const zoneOffsetMs = this.zoneOffsetMinutes(timeZone, at) * 60000;
+        const offsetMs = (((-zoneOffsetMs) % everyMs) + everyMs) % everyMs;
+        return offsetMs > 0 ? `${Math.round(offsetMs / 1000)}s` : null;
+    }
+
+    /**
+     * Convert a time bound (duration relative to now, RFC3339 or "now") to epoch ms
+     * @param {string} value
+     * @param {string} parameter
+     * @param {number} now
+     * @returns {number}
+     */
+    toEpoch(value, parameter, now) {
+        if (value === 'now') return now;
+
+        validateTime(value, parameter);
+        if (/^\d{4}-/.test(value)) {
+            return Date.parse(value);
+        }
+        return now + this.durationMs(value);
+    }
+
+    /**
+     * Length of a Flux duration in ms (mo = 30d, y = 365d)
+     * @param {string} duration
+     * @returns {number}
+     */
+    durationMs(duration) {
+        const sign = duration.startsWith('-') ? -1 : 1;
+        let total = 0;
+        for (const [, amount, unit] of duration.matchAll(/(\d+)(ns|us|µs|ms|mo|s|m|h|d|w|y)/g)) {
+            total += parseInt(amount, 10) * UNIT_MS[unit];
+        }
+        return sign * total;
+    }
+
+    /**
+     * Turn query validation errors into 400 responses
+     * @param {Function} fn
+     * @returns {*}
+     */
+    mapValidation(fn) {
+        try {
+            return fn();
+        } catch (error) {
+            if (error instanceof QueryValidationError) {
+                const details = { parameter: error.parameter };
+                if (error.parameter === 'field') {
+                    details.allowed = dataValidator.fieldNames();
+                }
+                throw new HttpError(400, error.message, details);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Header line for CSV formats (nothing for NDJSON)
+     * @param {Object} params
+     * @returns {string}
+     */
+    header(params) {
+        if (params.format === 'ndjson') return '';
+
+        const columns = ['timestamp', 'sensor_id', 'location', ...params.fields];
+        if (params.format === 'excel') {
+            // BOM so Excel detects UTF-8 (µg/m³ etc.), CRLF line endings
+            return `\uFEFF${columns.join(',')}\r\n`;
+        }
+        return `${columns.join(',')}\n`;
+    }
+
+    /**
+     * Format one pivoted row
+     * @param {Object} row - Pivoted query row
+     * @param {Object} params
+     * @returns {string}
+     */
+    formatRow(row, params) {
+        const timestamp = this.formatTime(row._time, params.timeZone, params.format === 'excel');
+
+        if (params.format === 'ndjson') {
+            const record = { timestamp, sensor_id: row.sensor_id, location: row.location };
+            for (const field of params.fields) {
+                record[field] = row[field] !== undefined ? row[field] : null;
+            }
+            return `${JSON.stringify(record)}\n`;
+        }
+
+        const excel = params.format === 'excel';
+        const values = [timestamp, row.sensor_id, row.location, ...params.fields.map(field => row[field])]
+            .map(value => this.csvValue(value, excel));
+        return `${values.join(',')}${excel ? '\r\n' : '\n'}`;
+    }
+
+    /**
+     * Escape a CSV value; Excel output also neutralises formula prefixes
+     * @param {*} value
+     * @param {boolean} excel
+     * @returns {string}
+     */
+    csvValue(value, excel) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'number') return String(value);
+
+        let text = String(value);
+        if (excel && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Format an RFC3339 timestamp in a time zone
+     * CSV/NDJSON: 2025-01-01T07:00:00+07:00; Excel: 2025-01-01 07:00:00 (local, no offset)
+     * @param {string} time
+     * @param {string} timeZone
+     * @param {boolean} excel
+     * @returns {string}
+     */
+    formatTime(time, timeZone, excel) {
+        const date = new Date(time);
+        const parts = {};
+        for (const part of this.timeFormat(timeZone).formatToParts(date)) {
+            parts[part.type] = part.value;
+        }
+
+        const local = `${parts.year}-${parts.month}-${parts.day}`;
+        const clock = `${parts.hour}:${parts.minute}:${parts.second}`;
+        if (excel) {
+            return `${local} ${clock}`;
+        }
+
+        const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.replace('GMT', '');
+        return `${local}T${clock}${offset}`;
+    }
+
+    /**
+     * UTC offset of a time zone in minutes at a given time
+     * @param {string} timeZone
+     * @param {number} at - Epoch ms
+     * @returns {number}
+     */
+    zoneOffsetMinutes(timeZone, at) {
+        const name = this.timeFormat(timeZone).formatToParts(new Date(at))
+            .find(part => part.type === 'timeZoneName').value;
+        const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+        if (!match) return 0;
+        const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+        return match[1] === '-' ? -minutes : minutes;
+    }
+
+    /**
+     * Cached formatter for a time zone
+     * @param {string} timeZone
+     * @returns {Intl.DateTimeFormat}
+     */
+    timeFormat(timeZone) {
+        let format = this.timeFormats.get(timeZone);
+        if (!format) {
+            format = new Intl.DateTimeFormat('en-CA', {
+                timeZone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+                hourCycle: 'h23',
+                timeZoneName: 'longOffset',
+            });
+            this.timeFormats.set(timeZone, format);
+        }
+        return format;
+    }
+}
+
+module.exports = new ExportAPI();
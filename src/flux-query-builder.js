@@ -0,0 +1,325 @@
+/**
+ * Safe, parameterized Flux query builder
+ *
+ * Every value that ends up in the query is validated (durations, timestamps,
+ * identifiers, numbers) or escaped as a Flux string literal, so callers can
+ * pass request parameters straight through.
+ */
+
+const DURATION_PATTERN = /^-?(\d+(ns|us|µs|ms|s|mo|m|h|d|w|y))+$/;
+const RFC3339_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,9})?(Z|[+-]\d{2}:\d{2})$/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const AGGREGATE_FUNCTIONS = ['mean', 'median', 'min', 'max', 'sum', 'count', 'first', 'last', 'spread', 'stddev'];
+const SYSTEM_COLUMNS = ['_time', '_start', '_stop', '_value', '_field', '_measurement'];
+
+/**
+ * Raised when a query parameter fails validation
+ */
+class QueryValidationError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} parameter - Name of the offending parameter
+     */
+    constructor(message, parameter) {
+        super(message);
+        this.name = 'QueryValidationError';
+        this.parameter = parameter;
+    }
+}
+
+/**
+ * Escape a value as a Flux string literal (including quotes)
+ * @param {*} value
+ * @returns {string}
+ */
+function fluxString(value) {
+    const escaped = String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\$\{/g, '\\${')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+/**
+ * Validate a Flux duration literal such as -1h or 1h30m
+ * @param {string} value
+ * @param {string} parameter
+ * @returns {string}
+ */
+function validateDuration(value, parameter = 'duration') {
+    if (typeof value !== 'string' || !DURATION_PATTERN.test(value)) {
+        throw new QueryValidationError(`Invalid ${parameter}, expected a duration such as -1h or 30m`, parameter);
+    }
+    return value;
+}
+
+/**
+ * Validate a time bound: a duration or an RFC3339 timestamp
+ * @param {string|Date} value
+ * @param {string} parameter
+ * @returns {string} - Flux literal
+ */
+function validateTime(value, parameter = 'time') {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+            throw new QueryValidationError(`Invalid ${parameter}, date is not valid`, parameter);
+        }
+        return value.toISOString();
+    }
+    if (typeof value === 'string' && DURATION_PATTERN.test(value)) {
+        return value;
+    }
+    if (typeof value === 'string' && RFC3339_PATTERN.test(value) && !isNaN(Date.parse(value))) {
+        return value;
+    }
+    throw new QueryValidationError(
+        `Invalid ${parameter}, expected a duration (e.g. -1h) or RFC3339 timestamp`,
+        parameter
+    );
+}
+
+/**
+ * Validate a non-negative integer
+ * @param {*} value
+ * @param {string} parameter
+ * @param {number} min
+ * @returns {number}
+ */
+function validateInteger(value, parameter, min = 0) {
+    if (!Number.isInteger(value) || value < min) {
+        throw new QueryValidationError(`Invalid ${parameter}, expected an integer >= ${min}`, parameter);
+    }
+    return value;
+}
+
+/**
+ * Fluent builder for Flux queries
+ */
+class FluxQueryBuilder {
+    /**
+     * @param {string} bucket - Bucket name
+     * @param {Object} options - { fields, tags } whitelists of allowed field and tag names
+     */
+    constructor(bucket, options = {}) {
+        this.bucket = bucket;
+        this.allowedFields = options.fields || null;
+        this.allowedTags = options.tags || null;
+        this.stages = [];
+        this.hasRange = false;
+    }
+
+    /**
+     * Restrict the time range
+     * @param {string|Date} start - Duration or RFC3339 timestamp
+     * @param {string|Date} stop - Optional duration or RFC3339 timestamp
+     */
+    range(start, stop = null) {
+        const args = [`start: ${validateTime(start, 'start')}`];
+        if (stop !== null && stop !== undefined && stop !== '') {
+            args.push(`stop: ${validateTime(stop, 'stop')}`);
+        }
+        this.stages.push(`range(${args.join(', ')})`);
+        this.hasRange = true;
+        return this;
+    }
+
+    /**
+     * Keep only rows of a measurement
+     * @param {string} name
+     */
+    measurement(name) {
+        return this.where('_measurement', [name]);
+    }
+
+    /**
+     * Keep only rows of the given fields
+     * @param {Array<string>} fields
+     */
+    fields(fields) {
+        for (const field of fields) {
+            this.assertField(field);
+        }
+        return this.where('_field', fields);
+    }
+
+    /**
+     * Keep only rows whose tag equals one of the values
+     * @param {string} tag - Tag name (must be whitelisted)
+     * @param {Array<string>|string} values
+     */
+    tag(tag, values) {
+        this.assertTag(tag);
+        return this.where(tag, Array.isArray(values) ? values : [values]);
+    }
+
+    /**
+     * Add an OR-ed equality filter on a column; no-op for an empty list
+     * @param {string} column
+     * @param {Array<string>} values
+     */
+    where(column, values) {
+        if (!values || values.length === 0) return this;
+        this.assertIdentifier(column, 'column');
+
+        const predicate = values
+            .map(value => `r.${column} == ${fluxString(value)}`)
+            .join(' or ');
+        this.stages.push(`filter(fn: (r) => ${predicate})`);
+        return this;
+    }
+
+    /**
+     * Aggregate into fixed windows
+     * @param {string} every - Window duration
+     * @param {string} fn - Aggregate function name
+     * @param {Object} options - { createEmpty, offset (duration shifting window boundaries), timeSrc ('_start' | '_stop') }
+     */
+    aggregateWindow(every, fn = 'mean', options = {}) {
+        validateDuration(every, 'window');
+        if (every.startsWith('-')) {
+            throw new QueryValidationError('Invalid window, duration must be positive', 'window');
+        }
+        if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+            throw new QueryValidationError(
+                `Invalid fn, expected one of: ${AGGREGATE_FUNCTIONS.join(', ')}`,
+                'fn'
+            );
+        }
+        const args = [`every: ${every}`, `fn: ${fn}`, `createEmpty: ${options.createEmpty === true}`];
+        if (options.offset) {
+            args.push(`offset: ${validateDuration(options.offset, 'offset')}`);
+        }
+        if (options.timeSrc) {
+            if (!['_start', '_stop'].includes(options.timeSrc)) {
+                throw new QueryValidationError('Invalid timeSrc, expected _start or _stop', 'timeSrc');
+            }
+            args.push(`timeSrc: ${fluxString(options.timeSrc)}`);
+        }
+        this.stages.push(`aggregateWindow(${args.join(', ')})`);
+        return this;
+    }
+
+    /**
+     * Keep the last row of each table
+     * @param {string} column - Column that must be non-null (default: _value)
+     */
+    last(column = null) {
+        if (column === null) {
+            this.stages.push('last()');
+        } else {
+            this.assertColumn(column);
+            this.stages.push(`last(column: ${fluxString(column)})`);
+        }
+        return this;
+    }
+
+    /**
+     * Pivot fields into columns, one row per timestamp
+     */
+    pivot() {
+        this.stages.push('pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")');
+        return this;
+    }
+
+    /**
+     * Regroup tables
+     * @param {Array<string>} columns - Group key columns; empty merges all tables
+     */
+    group(columns = []) {
+        columns.forEach(column => this.assertColumn(column));
+        this.stages.push(columns.length > 0
+            ? `group(columns: ${this.columnList(columns)})`
+            : 'group()');
+        return this;
+    }
+
+    /**
+     * Sort rows
+     * @param {Array<string>} columns
+     * @param {boolean} desc
+     */
+    sort(columns = ['_time'], desc = false) {
+        columns.forEach(column => this.assertColumn(column));
+        this.stages.push(`sort(columns: ${this.columnList(columns)}, desc: ${desc === true})`);
+        return this;
+    }
+
+    /**
+     * Limit rows per table
+     * @param {number} n
+     * @param {number} offset
+     */
+    limit(n, offset = 0) {
+        validateInteger(n, 'limit', 1);
+        validateInteger(offset, 'offset', 0);
+        this.stages.push(offset > 0 ? `limit(n: ${n}, offset: ${offset})` : `limit(n: ${n})`);
+        return this;
+    }
+
+    /**
+     * Render the Flux query
+     * @returns {string}
+     */
+    build() {
+        if (!this.hasRange) {
+            throw new QueryValidationError('Query requires a range', 'start');
+        }
+        const lines = [`from(bucket: ${fluxString(this.bucket)})`];
+        for (const stage of this.stages) {
+            lines.push(`  |> ${stage}`);
+        }
+        return lines.join('\n');
+    }
+
+    toString() {
+        return this.build();
+    }
+
+    /**
+     * Render a list of column names as a Flux array
+     * @param {Array<string>} columns
+     * @returns {string}
+     */
+    columnList(columns) {
+        return `[${columns.map(column => fluxString(column)).join(', ')}]`;
+    }
+
+    assertIdentifier(name, parameter) {
+        if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+            throw new QueryValidationError(`Invalid ${parameter} name: ${name}`, parameter);
+        }
+    }
+
+    assertField(field) {
+        this.assertIdentifier(field, 'field');
+        if (this.allowedFields && !this.allowedFields.includes(field)) {
+            throw new QueryValidationError(`Unknown field: ${field}`, 'field');
+        }
+    }
+
+    assertTag(tag) {
+        this.assertIdentifier(tag, 'tag');
+        if (this.allowedTags && !this.allowedTags.includes(tag)) {
+            throw new QueryValidationError(`Unknown tag: ${tag}`, 'tag');
+        }
+    }
+
+    assertColumn(column) {
+        if (SYSTEM_COLUMNS.includes(column)) return;
+        if (this.allowedFields && this.allowedFields.includes(column)) return;
+        this.assertTag(column);
+    }
+}
+
+module.exports = {
+    FluxQueryBuilder,
+    QueryValidationError,
+    fluxString,
+    validateDuration,
+    validateTime,
+    AGGREGATE_FUNCTIONS,
+};
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const mqtt = require('mqtt');
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { renderTemplate } = require('./alert-notifiers');
+const { connectionOptions, displayUrl } = require('./mqtt-options');
+
+/**
+ * Make a value safe for use as one MQTT topic level
+ * @param {*} value
+ * @returns {string}
+ */
+function topicLevel(value) {
+    return String(value).replace(/[/+#]/g, '_');
+}
+
+/**
+ * Republishes each reading to a templated topic, on the ingest broker or another one
+ * Readings are dropped rather than queued while the broker is unreachable.
+ */
+class MqttDestination {
+    /**
+     * @param {string} name
+     * @param {Object} options - { url, username, password, tls, topic, qos, retain }
+     */
+    constructor(name, options) {
+        if (!options.topic) {
+            throw new Error(`Forwarding destination ${name} requires a topic`);
+        }
+        this.name = name;
+        this.type = 'mqtt';
+        this.url = options.url || config.mqtt.url;
+        this.topic = options.topic;
+        this.qos = options.qos !== undefined ? options.qos : 0;
+        this.retain = options.retain === true;
+
+        if (options.tls && !options.url) {
+            throw new Error(`Forwarding destination ${name}: tls requires a url`);
+        }
+
+        const clientId = `iot-monitoring-forward-${name}-${process.pid}`;
+        let connection;
+        try {
+            // Another broker gets the destination's own credentials and TLS files
+            connection = connectionOptions(this.url, { clientId }, options.url ? options : null);
+        } catch (error) {
+            throw new Error(`Forwarding destination ${name}: ${error.message}`);
+        }
+        this.client = mqtt.connect(this.url, connection);
+        this.client.on('error', (error) => {
+            logger.error('Forwarding MQTT connection error', { destination: name, error: error.message });
+        });
+    }
+
+    /**
+     * Topic for a reading
+     * @param {Object} reading
+     * @returns {string}
+     */
+    topicFor(reading) {
+        const values = {};
+        for (const [key, value] of Object.entries(reading)) {
+            if (value !== null && typeof value !== 'object') values[key] = topicLevel(value);
+        }
+        return renderTemplate(this.topic, values);
+    }
+
+    send(reading) {
+        if (!this.client.connected) {
+            metrics.forwardFailures.inc({ destination: this.name });
+            return Promise.reject(new Error('Broker not connected'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.client.publish(this.topicFor(reading), JSON.stringify(reading), {
+                qos: this.qos,
+                retain: this.retain,
+            }, (error) => {
+                if (error) {
+                    metrics.forwardFailures.inc({ destination: this.name });
+                    reject(error);
+                } else {
+                    metrics.forwarded.inc({ destination: this.name });
+                    resolve();
+                }
+            });
+        });
+    }
+
+    stats() {
+        return { url: displayUrl(this.url), topic: this.topic, connected: this.client.connected };
+    }
+
+    close() {
+        return new Promise(resolve => this.client.end(false, {}, () => resolve()));
+    }
+}
+
+/**
+ * POSTs readings to an HTTP(S) endpoint in batches
+ *
+ * Batches are sent one at a time and retried with exponential backoff on
+ * network errors, 429 and 5xx; other 4xx responses drop the batch. With a
+ * secret, the body is signed as HMAC-SHA256 over `<timestamp>.<body>`.
+ */
+class WebhookDestination {
+    /**
+     * @param {string} name
+     * @param {Object} options - { url, headers, timeout, secret, secretEnv, batchSize, flushInterval, maxRetries, maxQueue }
+     */
+    constructor(name, options) {
+        if (!options.url) {
+            throw new Error(`Forwarding destination ${name} requires a url`);
+        }
+        this.name = name;
+        this.type = 'webhook';
+        this.url = new URL(options.url);
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 5000;
+        this.secret = options.secretEnv ? process.env[options.secretEnv] : options.secret || null;
+        if (options.secretEnv && !this.secret) {
+            throw new Error(`Forwarding destination ${name}: environment variable ${options.secretEnv} is not set`);
+        }
+        this.batchSize = options.batchSize || 100;
+        this.flushInterval = options.flushInterval || 5000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.maxQueue = options.maxQueue || 10000;
+        this.retryDelay = { initial: 1000, max: 60000 };
+
+        this.queue = [];
+        this.sending = null;
+        this.retryTimer = null;
+        this.attempt = 0;
+        this.dropped = 0;
+        this.lastError = null;
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+    }
+
+    /**
+     * Queue a reading, sending as soon as a batch is full
+     * @param {Object} reading
+     */
+    async send(reading) {
+        if (this.queue.length >= this.maxQueue) {
+            this.dropped++;
+            metrics.forwardFailures.inc({ destination: this.name });
+            throw new Error('Webhook queue full');
+        }
+
+        this.queue.push(reading);
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Start sending the next batch unless one is in flight or waiting to retry
+     */
+    flush() {
+        if (this.sending || this.retryTimer || this.queue.length === 0) return;
+
+        this.sending = this.deliver(this.queue.slice(0, this.batchSize)).finally(() => {
+            this.sending = null;
+            if (this.queue.length >= this.batchSize) {
+                this.flush();
+            }
+        });
+    }
+
+    /**
+     * Send one batch, scheduling a retry on failure
+     * The batch stays at the head of the queue until it is delivered or dropped.
+     * @param {Array<Object>} batch
+     */
+    async deliver(batch) {
+        try {
+            await this.post(batch);
+            this.queue.splice(0, batch.length);
+            this.attempt = 0;
+            this.lastError = null;
+            metrics.forwarded.inc({ destination: this.name }, batch.length);
+        } catch (error) {
+            this.lastError = error.message;
+            const retryable = error.statusCode === undefined || error.statusCode === 429 || error.statusCode >= 500;
+
+            if (!retryable || this.attempt >= this.maxRetries) {
+                this.queue.splice(0, batch.length);
+                this.dropped += batch.length;
+                logger.error('Webhook batch dropped', {
+                    destination: this.name,
+                    error: error.message,
+                    attempts: this.attempt + 1,
+                    readings: batch.length,
+                });
+                this.attempt = 0;
+                metrics.forwardFailures.inc({ destination: this.name }, batch.length);
+                return;
+            }
+
+            const delay = Math.min(this.retryDelay.initial * 2 ** this.attempt, this.retryDelay.max);
+            this.attempt++;
+            logger.warn('Webhook delivery failed, retrying', {
+                destination: this.name,
+                error: error.message,
+                attempt: this.attempt,
+                retryIn: delay,
+            });
+
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.flush();
+            }, delay);
+        }
+    }
+
+    /**
+     * POST a batch
+     * @param {Array<Object>} batch
+     * @returns {Promise<void>}
+     */
+    post(batch) {
+        const body = JSON.stringify({ destination: this.name, count: batch.length, readings: batch });
+        const transport = this.url.protocol === 'https:' ? https : http;
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            ...this.headers,
+        };
+
+        if (this.secret) {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const signature = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+            headers['X-Signature-Timestamp'] = timestamp;
+            headers['X-Signature-256'] = `sha256=${signature}`;
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(this.url, {
+                method: 'POST',
+                timeout: this.timeout,
+                headers,
+            }, (res) => {
+                res.resume();
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve();
+                } else {
+                    const error = new Error(`Webhook responded with status ${res.statusCode}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
+                }
+            });
+
+            req.on('timeout', () => req.destroy(new Error('Webhook request timed out')));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    stats() {
+        return {
+            url: this.url.href,
+            queued: this.queue.length,
+            dropped: this.dropped,
+            retrying: this.retryTimer !== null,
+            lastError: this.lastError,
+        };
+    }
+
+    /**
+     * Try once to deliver what is queued, without waiting for retries
+     */
+    async close() {
+        clearInterval(this.flushTimer);
+        if (this.sending) await this.sending;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        while (this.queue.length > 0) {
+            const batch = this.queue.slice(0, this.batchSize);
+            try {
+                await this.post(batch);
+            } catch (error) {
+                break;
+            }
+            this.queue.splice(0, batch.length);
+            metrics.forwarded.inc({ destination: this.name }, batch.length);
+        }
+
+        if (this.queue.length > 0) {
+            logger.warn('Webhook readings not delivered at shutdown', { destination: this.name, readings: this.queue.length });
+        }
+    }
+}
+
+/**
+ * Create a forwarding destination
+ * @param {Object} options - Destination definition; type selects mqtt or webhook
+ * @returns {Object} - Destination with send(reading), stats() and close()
+ */
+function createDestination(options) {
+    if (!options.name) {
+        throw new Error(`Forwarding destination requires a name: ${JSON.stringify(options)}`);
+    }
+
+    switch (options.type) {
+        case 'mqtt':
+            return new MqttDestination(options.name, options);
+        case 'webhook':
+            return new WebhookDestination(options.name, options);
+        default:
+            throw new Error(`Forwarding destination ${options.name} has unknown type: ${options.type}`);
+    }
+}
+
+module.exports = {
+    createDestination,
+    topicLevel,
+    MqttDestination,
+    WebhookDestination,
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const TopicMatcher = require('./topic-matcher');
+const { createDestination } = require('./forward-destinations');
+const { sendJSON } = require('./http-router');
+
+const FILTER_KEYS = ['sensor_id', 'location', 'device_type'];
+
+/**
+ * Forwards validated, enriched readings to downstream MQTT topics and webhooks
+ *
+ * Each destination has an optional filter: sensor_id, location and device_type
+ * select readings (a value or a list), and fields limits the forwarded fields.
+ */
+class Forwarder {
+    constructor() {
+        this.destinations = [];
+        this.lastErrors = new Map();
+    }
+
+    /**
+     * Load destinations from the configured file
+     * @param {string} file - Path to the JSON forwarding file
+     * @returns {boolean} - true if forwarding is enabled
+     */
+    load(file = config.forwarding.file) {
+        const forwardingPath = path.resolve(file);
+
+        if (!fs.existsSync(forwardingPath)) {
+            logger.info('No forwarding file found, forwarding disabled', { file: forwardingPath });
+            return false;
+        }
+
+        const definition = JSON.parse(fs.readFileSync(forwardingPath, 'utf8'));
+        const names = new Set();
+
+        for (const options of definition.destinations || []) {
+            if (names.has(options.name)) {
+                throw new Error(`Duplicate forwarding destination: ${options.name}`);
+            }
+            names.add(options.name);
+
+            const filter = this.normalizeFilter(options.name, options.filter || {});
+            if (options.type === 'mqtt' && !options.url) {
+                this.checkLoop(options);
+            }
+            this.destinations.push({ destination: createDestination(options), filter });
+        }
+
+        logger.info('Forwarding destinations loaded', {
+            file: forwardingPath,
+            destinations: this.destinations.map(({ destination }) => `${destination.name} (${destination.type})`),
+        });
+        return this.destinations.length > 0;
+    }
+
+    /**
+     * Validate a destination filter
+     * @param {string} name - Destination name
+     * @param {Object} filter
+     * @returns {Object} - Lists per key, null when unrestricted
+     */
+    normalizeFilter(name, filter) {
+        const normalized = {};
+
+        for (const key of [...FILTER_KEYS, 'fields']) {
+            const value = filter[key];
+            if (value === undefined || value === null) {
+                normalized[key] = null;
+                continue;
+            }
+
+            const list = Array.isArray(value) ? value : [value];
+            if (list.length === 0 || list.some(item => typeof item !== 'string')) {
+                throw new Error(`Forwarding destination ${name} has an invalid ${key} filter`);
+            }
+            normalized[key] = list;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Refuse topics the service itself subscribes to on the same broker
+     * @param {Object} options - MQTT destination definition without a url
+     */
+    checkLoop(options) {
+        const sample = String(options.topic || '').replace(/\{(\w+)\}/g, 'x');
+        if (new TopicMatcher(config.mqtt.topics).match(sample)) {
+            throw new Error(
+                `Forwarding destination ${options.name} publishes to ${options.topic}, ` +
+                'which matches MQTT_TOPICS and would be ingested again'
+            );
+        }
+    }
+
+    /**
+     * Forward a validated reading to every matching destination
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - Enriched device identity
+     * @param {Date} timestamp
+     */
+    forward(data, identity, timestamp = new Date()) {
+        for (const { destination, filter } of this.destinations) {
+            if (!this.matches(filter, identity)) continue;
+
+            const reading = this.buildReading(data, identity, timestamp, filter.fields);
+            if (Object.keys(reading.data).length === 0) continue;
+
+            destination.send(reading).then(
+                () => this.lastErrors.delete(destination.name),
+                (error) => this.logFailure(destination, error)
+            );
+        }
+    }
+
+    /**
+     * Whether a reading's identity passes a destination filter
+     * @param {Object} filter
+     * @param {Object} identity
+     * @returns {boolean}
+     */
+    matches(filter, identity) {
+        return FILTER_KEYS.every(key => !filter[key] || filter[key].includes(identity[key]));
+    }
+
+    /**
+     * Forwarded message body, shaped like the event stream's reading events
+     * @param {Object} data
+     * @param {Object} identity
+     * @param {Date} timestamp
+     * @param {Array<string>|null} fields - Fields to keep, null for all
+     * @returns {Object}
+     */
+    buildReading(data, identity, timestamp, fields) {
+        const reading = {
+            time: timestamp.toISOString(),
+            sensor_id: identity.sensor_id,
+            location: identity.location,
+            device_type: identity.device_type,
+        };
+        if (identity.latitude !== undefined && identity.longitude !== undefined) {
+            reading.latitude = identity.latitude;
+            reading.longitude = identity.longitude;
+        }
+
+        reading.data = fields
+            ? Object.fromEntries(Object.entries(data).filter(([name]) => fields.includes(name)))
+            : data;
+        return reading;
+    }
+
+    /**
+     * Log a failed send once per distinct error, so an outage does not flood the log
+     * @param {Object} destination
+     * @param {Error} error
+     */
+    logFailure(destination, error) {
+        if (this.lastErrors.get(destination.name) === error.message) return;
+        this.lastErrors.set(destination.name, error.message);
+
+        logger.warn('Forwarding failed', { destination: destination.name, error: error.message });
+    }
+
+    /**
+     * Register forwarding routes on the router
+     * @param {Router} router
+     */
+    register(router) {
+        router.get('/api/v1/forwarding', (req, res) => {
+            const destinations = this.destinations.map(({ destination, filter }) => ({
+                name: destination.name,
+                type: destination.type,
+                filter,
+                ...destination.stats(),
+            }));
+            sendJSON(res, 200, { data: destinations, count: destinations.length });
+        });
+    }
+
+    /**
+     * Deliver what is queued and close destination connections
+     */
+    async close() {
+        for (const { destination } of this.destinations) {
+            try {
+                await destination.close();
+            } catch (error) {
+                logger.error('Error closing forwarding destination', { destination: destination.name, error: error.message });
+            }
+        }
+    }
+}
+
+module.exports = new Forwarder();
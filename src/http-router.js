@@ -0,0 +1,226 @@
+const logger = require('./logger');
+
+/**
+ * HTTP error carrying a status code for the JSON error response
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message returned to the client
+     * @param {Object} details - Optional extra details (e.g. invalid parameter)
+     * @param {Object} headers - Optional response headers (e.g. Retry-After)
+     */
+    constructor(status, message, details = undefined, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ * @param {Object} headers - Extra response headers
+ */
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Object>} - Parsed body ({} when empty)
+ */
+function readJSON(req, limit = 1048576) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            if (!text) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be valid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Minimal method + path router for the built-in HTTP server
+ * Paths may contain `:name` segments, exposed to handlers as req.params
+ */
+class Router {
+    constructor() {
+        this.routes = [];
+        this.middleware = [];
+    }
+
+    /**
+     * Run a function before every matched route handler; throw an HttpError to reject
+     * @param {Function} fn - async (req, res, { url, route }) => void
+     */
+    use(fn) {
+        this.middleware.push(fn);
+        return this;
+    }
+
+    /**
+     * Register a route
+     * @param {string} method - HTTP method
+     * @param {string} path - Path pattern, e.g. /api/v1/devices/:id
+     * @param {Function} handler - async (req, res, ctx) => void
+     */
+    add(method, path, handler) {
+        const names = [];
+        const source = path
+            .split('/')
+            .map(part => {
+                if (part.startsWith(':')) {
+                    names.push(part.slice(1));
+                    return '([^/]+)';
+                }
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+
+        this.routes.push({
+            method,
+            path,
+            regex: new RegExp(`^${source}/?$`),
+            names,
+            handler,
+        });
+        return this;
+    }
+
+    get(path, handler) {
+        return this.add('GET', path, handler);
+    }
+
+    post(path, handler) {
+        return this.add('POST', path, handler);
+    }
+
+    put(path, handler) {
+        return this.add('PUT', path, handler);
+    }
+
+    delete(path, handler) {
+        return this.add('DELETE', path, handler);
+    }
+
+    /**
+     * Dispatch a request to the matching route
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        let pathMatched = false;
+
+        try {
+            for (const route of this.routes) {
+                const match = route.regex.exec(url.pathname);
+                if (!match) continue;
+
+                pathMatched = true;
+                if (route.method !== req.method) continue;
+
+                req.params = {};
+                route.names.forEach((name, index) => {
+                    req.params[name] = decodeURIComponent(match[index + 1]);
+                });
+                req.query = url.searchParams;
+
+                for (const fn of this.middleware) {
+                    await fn(req, res, { url, route });
+                }
+                await route.handler(req, res, { url });
+                return;
+            }
+
+            if (pathMatched) {
+                throw new HttpError(405, 'Method Not Allowed');
+            }
+
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+        } catch (error) {
+            this.handleError(error, req, res);
+        }
+    }
+
+    /**
+     * Turn an error into a JSON error response
+     * @param {Error} error
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    handleError(error, req, res) {
+        const status = error instanceof HttpError ? error.status : 500;
+
+        if (status >= 500) {
+            logger.error('HTTP request failed', {
+                method: req.method,
+                url: req.url,
+                error: error.message,
+                stack: error.stack,
+            });
+        } else {
+            logger.debug('HTTP request rejected', {
+                method: req.method,
+                url: req.url,
+                status,
+                error: error.message,
+            });
+        }
+
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+
+        const body = {
+            error: {
+                status,
+                message: status >= 500 && !(error instanceof HttpError) ? 'Internal Server Error' : error.message,
+            },
+        };
+        if (error.details) {
+            body.error.details = error.details;
+        }
+
+        sendJSON(res, status, body, error.headers);
+    }
+}
+
+module.exports = {
+    Router,
+    HttpError,
+    sendJSON,
+    readJSON,
+};
@@ -1,20 +1,32 @@
 const http = require('http');
 const config = require('./config');
 const logger = require('./logger');
-const MQTTClient = require('./mqtt-client');
-const WebSocketClient = require('./websocket-client');
 const influxDBWriter = require('./influxdb-writer');
+const sinkManager = require('./sink-manager');
+const readingsApi = require('./readings-api');
+const exportApi = require('./export-api');
+const alertEngine = require('./alert-engine');
+const forwarder = require('./forwarder');
+const metrics = require('./metrics');
+const deadLetterStore = require('./dead-letter-store');
+const deviceRegistry = require('./device-registry');
+const deviceMonitor = require('./device-monitor');
+const liveBroadcastServer = require('./live-broadcast-server');
+const eventStream = require('./event-stream');
+const apiKeys = require('./api-keys');
+const clusterCoordinator = require('./cluster-coordinator');
+const transportManager = require('./transport-manager');
+const deduplicator = require('./deduplicator');
+const { Router, sendJSON } = require('./http-router');
 
 /**
  * Main application
  */
 class Application {
     constructor() {
-        this.dataClient = null;
         this.httpServer = null;
         this.isRunning = false;
         this.dataPointCount = 0;
-        this.useMQTT = true;
     }
 
     /**
@@ -27,11 +39,35 @@ class Application {
                 version: require('../package.json').version,
             });
 
-            // Connect to InfluxDB
-            const influxConnected = await influxDBWriter.connect();
-            if (!influxConnected) {
-                logger.error('Failed to connect to InfluxDB, will retry on data arrival');
-            }
+            // Publish InfluxDB state changes and alerts on the event stream
+            influxDBWriter.on('connection', (connected) => eventStream.publishConnection('influxdb', connected));
+            alertEngine.on('firing', (alert) => eventStream.publish('alert', alert));
+            alertEngine.on('resolved', (alert) => eventStream.publish('alert', alert));
+
+            // Record device liveness transitions
+            deviceMonitor.on('status', (event) => {
+                eventStream.publish('device_status', event);
+                sinkManager.writeDeviceStatus(event);
+            });
+
+            // Connect storage sinks (InfluxDB buffers to its WAL and retries in background)
+            await sinkManager.connect();
+
+            // Load alert rules and forwarding destinations
+            alertEngine.load();
+            forwarder.load();
+
+            // Load registered devices; liveness checks run on the leader instance only
+            deviceRegistry.open();
+            clusterCoordinator.on('leadership', (leader) => (leader ? deviceMonitor.start() : deviceMonitor.stop()));
+            clusterCoordinator.on('reading', (data, identity, meta) => this.observeReading(data, identity, meta));
+            clusterCoordinator.start();
+
+            // Open dead-letter store for rejected messages
+            deadLetterStore.open();
+
+            // Load API keys for the HTTP server
+            apiKeys.open();
 
             // Start data collection client (MQTT or WebSocket)
             this.startDataClient();
@@ -51,97 +87,60 @@ class Application {
     }
 
     /**
-     * Start data collection client (MQTT with WebSocket fallback)
+     * Start data collection (MQTT over TCP, falling back to MQTT over WebSocket)
      */
     startDataClient() {
-        // Try MQTT first
-        logger.info('Attempting to connect via MQTT...');
-        this.dataClient = new MQTTClient();
-        this.useMQTT = true;
-
-        // Set up data handler
-        this.dataClient.on('data', (data) => this.handleSensorData(data));
-
-        // Set up error handler for fallback
-        this.dataClient.on('error', (error) => {
-            logger.error('MQTT error occurred', { error: error.message });
-
-            // If MQTT fails, try WebSocket fallback after a delay
-            if (this.useMQTT) {
-                setTimeout(() => {
-                    if (!this.dataClient.connected()) {
-                        logger.warn('MQTT connection failed, switching to WebSocket fallback');
-                        this.switchToWebSocket();
-                    }
-                }, 5000);
-            }
-        });
-
-        // Connect
-        this.dataClient.connect();
-    }
-
-    /**
-     * Switch to WebSocket fallback
-     */
-    switchToWebSocket() {
-        // Disconnect MQTT if connected
-        if (this.dataClient && this.useMQTT) {
-            this.dataClient.disconnect();
-            this.dataClient.removeAllListeners();
-        }
-
-        logger.info('Switching to WebSocket client...');
-        this.dataClient = new WebSocketClient();
-        this.useMQTT = false;
-
-        // Set up data handler
-        this.dataClient.on('data', (data) => this.handleSensorData(data));
-
-        // Set up error handler
-        this.dataClient.on('error', (error) => {
-            logger.error('WebSocket error', { error: error.message });
-        });
-
-        this.dataClient.on('failed', () => {
-            logger.error('WebSocket connection failed permanently');
-            // Optionally try to reconnect to MQTT
-            setTimeout(() => {
-                logger.info('Attempting to reconnect to MQTT...');
-                this.startDataClient();
-            }, 10000);
-        });
-
-        // Connect
-        this.dataClient.connect();
+        transportManager.on('data', (data, identity, meta) => this.handleSensorData(data, identity, meta));
+        transportManager.on('rejected', (rejection) => deadLetterStore.add(rejection));
+        transportManager.on('connection', (transport, connected) => eventStream.publishConnection(transport, connected));
+        transportManager.start();
     }
 
     /**
      * Handle incoming sensor data
      * @param {Object} data - Validated sensor data
+     * @param {Object} identity - Device identity (sensor_id, location, device_type)
+     * @param {Object} meta - Timestamp, message ID and sequence number from the payload
      */
-    async handleSensorData(data) {
+    async handleSensorData(data, identity = {}, meta = {}) {
+        // Redelivered (QoS 1) or received again around a transport switch
+        if (deduplicator.isDuplicate(identity, meta)) return;
+
+        const endTimer = metrics.handleToWrite.startTimer();
+
         try {
             this.dataPointCount++;
 
             logger.info('Processing sensor data', {
                 dataPoint: this.dataPointCount,
                 data,
+                identity,
             });
 
-            // Write to InfluxDB
-            const success = await influxDBWriter.writeData(data, {
-                sensor_id: 'sensor-001', // You can make this dynamic
-                location: 'default',
-                device_type: 'environmental',
-            });
+            // Push to live dashboard and event stream clients
+            liveBroadcastServer.broadcast(data, identity);
+            eventStream.publishReading(data, identity);
+
+            // Track liveness and evaluate alert rules, on the leader when instances share the readings
+            if (clusterCoordinator.enabled) {
+                clusterCoordinator.relay(data, identity, meta);
+            } else {
+                this.observeReading(data, identity, meta);
+            }
+
+            // Republish to downstream consumers
+            forwarder.forward(data, identity);
+
+            // Write to the storage sinks, tagged with the device identity
+            const success = await sinkManager.writeData(data, identity, deduplicator.writeTime(meta));
+            endTimer();
 
             if (success) {
-                logger.debug('Data successfully written to InfluxDB', {
+                logger.debug('Data successfully written to storage', {
                     dataPoint: this.dataPointCount,
                 });
             } else {
-                logger.warn('Failed to write data to InfluxDB', {
+                logger.warn('Failed to write data to one or more storage sinks', {
                     dataPoint: this.dataPointCount,
                 });
             }
@@ -154,33 +153,66 @@ class Application {
     }
 
     /**
-     * Start HTTP server for health checks
+     * Feed a reading to the singleton jobs: device liveness, sequence gaps and alerting
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - Device identity
+     * @param {Object} meta - Timestamp, message ID and sequence number
+     */
+    observeReading(data, identity, meta) {
+        deviceMonitor.record(identity);
+        deduplicator.trackSequence(identity, meta);
+        alertEngine.evaluate(data, identity);
+    }
+
+    /**
+     * Start HTTP server for health checks and the query API
      */
     startHealthCheckServer() {
-        this.httpServer = http.createServer((req, res) => {
-            if (req.url === '/health' && req.method === 'GET') {
-                const healthStatus = {
-                    status: 'ok',
-                    timestamp: new Date().toISOString(),
-                    uptime: process.uptime(),
-                    dataPointsCollected: this.dataPointCount,
-                    dataClient: {
-                        type: this.useMQTT ? 'MQTT' : 'WebSocket',
-                        connected: this.dataClient ? this.dataClient.connected() : false,
-                    },
-                    influxdb: {
-                        connected: influxDBWriter.isConnected,
-                    },
-                };
-
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(healthStatus, null, 2));
-            } else {
-                res.writeHead(404, { 'Content-Type': 'text/plain' });
-                res.end('Not Found');
-            }
+        const router = new Router();
+        router.use(apiKeys.middleware());
+
+        router.get('/health', (req, res) => {
+            const healthStatus = {
+                status: 'ok',
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                dataPointsCollected: this.dataPointCount,
+                instance: clusterCoordinator.health(),
+                dataClient: transportManager.health(),
+                dedup: deduplicator.health(),
+                storage: sinkManager.health(),
+            };
+
+            sendJSON(res, 200, healthStatus);
+        });
+
+        router.get('/metrics', async (req, res) => {
+            const body = await metrics.render();
+            res.writeHead(200, { 'Content-Type': metrics.contentType });
+            res.end(body);
         });
 
+        // Both query InfluxDB, so they are only served when it is a storage sink
+        if (config.storage.sinks.includes('influxdb')) {
+            readingsApi.register(router);
+            exportApi.register(router);
+        } else {
+            logger.info('Readings and export APIs disabled, InfluxDB is not a storage sink', {
+                sinks: config.storage.sinks,
+            });
+        }
+        alertEngine.register(router);
+        forwarder.register(router);
+        deadLetterStore.register(router, (data, identity, meta) => this.handleSensorData(data, identity, meta));
+        eventStream.register(router);
+        deviceMonitor.register(router);
+        deduplicator.register(router);
+        deviceRegistry.register(router);
+        apiKeys.register(router);
+
+        this.httpServer = http.createServer((req, res) => router.handle(req, res));
+        liveBroadcastServer.attach(this.httpServer);
+
         this.httpServer.listen(config.app.port, () => {
             logger.info('Health check server started', {
                 port: config.app.port,
@@ -198,12 +230,24 @@ class Application {
         this.isRunning = false;
 
         // Close data client
-        if (this.dataClient) {
-            this.dataClient.disconnect();
-        }
+        await transportManager.stop();
+
+        // Stop liveness checks and hand leadership to another instance
+        deviceMonitor.stop();
+        await clusterCoordinator.stop();
+
+        // Close live dashboard connections
+        liveBroadcastServer.close();
+        eventStream.close();
+
+        // Close alert notifier connections and forward what is still queued
+        await alertEngine.close();
+        await forwarder.close();
+
+        // Flush and close storage sinks
+        await sinkManager.close();
 
-        // Close InfluxDB connection
-        await influxDBWriter.close();
+        apiKeys.close();
 
         // Close HTTP server
         if (this.httpServer) {
@@ -1,21 +1,40 @@
+const EventEmitter = require('events');
 const { InfluxDB, Point } = require('@influxdata/influxdb-client');
 const config = require('./config');
 const logger = require('./logger');
+const dataValidator = require('./data-validator');
+const { FluxQueryBuilder } = require('./flux-query-builder');
+const WriteAheadLog = require('./write-ahead-log');
+const metrics = require('./metrics');
 
 /**
  * InfluxDB Writer Service
- * Handles writing sensor data to InfluxDB with batching
+ * Storage sink that writes records to InfluxDB with batching, and the query
+ * backend of the readings and export APIs. While InfluxDB is unreachable,
+ * points go to a disk-backed write-ahead log and are replayed in order once
+ * it answers a ping again.
  */
-class InfluxDBWriter {
+class InfluxDBWriter extends EventEmitter {
     constructor() {
+        super();
+        this.name = 'influxdb';
         this.client = null;
         this.writeApi = null;
         this.isConnected = false;
-        this.buffer = [];
+        this.measurement = config.storage.measurement;
+        this.tagKeys = ['sensor_id', 'location', 'device_type', 'source', 'quality'];
+        // Series identity without the quality tag, so latest/aggregate queries span both quality values
+        this.seriesColumns = ['sensor_id', 'location', 'device_type', 'source', '_field'];
+        this.wal = new WriteAheadLog(config.wal);
+        this.flushTimer = null;
+        this.recoveryTimer = null;
+        this.recoveryDelay = config.wal.retry.initialDelay;
+        this.replaying = false;
     }
 
     /**
      * Initialize InfluxDB connection
+     * @returns {Promise<boolean>} - true if InfluxDB answered a ping
      */
     async connect() {
         try {
@@ -25,96 +44,225 @@ class InfluxDBWriter {
                 bucket: config.influxdb.bucket,
             });
 
+            this.wal.open();
+            metrics.bufferDepth.set(this.wal.depth());
+
             this.client = new InfluxDB({
                 url: config.influxdb.url,
                 token: config.influxdb.token,
             });
 
-            // Create write API with batching
+            // Create write API with batching; failed batches go to the WAL instead of retrying in memory
             this.writeApi = this.client.getWriteApi(
                 config.influxdb.org,
                 config.influxdb.bucket,
-                'ms' // millisecond precision
+                'ms', // millisecond precision
+                {
+                    batchSize: config.batch.size,
+                    flushInterval: 0,
+                    maxRetries: 0,
+                    writeFailed: (error, lines) => this.handleWriteFailure(error, lines),
+                    writeSuccess: (lines) => metrics.pointsWritten.inc(lines.length),
+                }
             );
 
-            // Configure batching
-            this.writeApi.useDefaultTags({ source: 'mqtt-sensor' });
-
-            this.isConnected = true;
-            logger.info('Successfully connected to InfluxDB');
-
             // Set up periodic flush
             this.startBatchFlush();
 
-            return true;
+            this.setConnected(await this.ping());
+            if (this.isConnected) {
+                logger.info('Successfully connected to InfluxDB');
+            } else {
+                logger.warn('InfluxDB not reachable, writing to WAL until it recovers');
+            }
+
+            if (!this.isConnected || this.wal.depth() > 0) {
+                this.scheduleRecovery(0);
+            }
+
+            return this.isConnected;
         } catch (error) {
             logger.error('Failed to connect to InfluxDB', {
                 error: error.message,
                 stack: error.stack,
             });
-            this.isConnected = false;
+            this.setConnected(false);
             return false;
         }
     }
 
     /**
-     * Write sensor data point to InfluxDB
-     * @param {Object} data - Validated sensor data
-     * @param {Object} tags - Optional tags (sensor_id, location, etc.)
+     * Update the connection state, emitting 'connection' when it changes
+     * @param {boolean} connected
      */
-    async writeData(data, tags = {}) {
-        if (!this.isConnected || !this.writeApi) {
-            logger.warn('InfluxDB not connected, buffering data', { bufferSize: this.buffer.length });
-            this.buffer.push({ data, tags, timestamp: Date.now() });
-            return false;
-        }
+    setConnected(connected) {
+        if (this.isConnected === connected) return;
+        this.isConnected = connected;
+        this.emit('connection', connected);
+    }
 
+    /**
+     * Check whether InfluxDB is reachable
+     * @returns {Promise<boolean>}
+     */
+    async ping() {
         try {
-            // Create point with measurement name
-            const point = new Point('environmental_sensors')
-                .floatField('temperature', data.temperature)
-                .floatField('humidity', data.humidity)
-                .intField('pm1', data.pm1)
-                .intField('pm2_5', data.pm2_5)
-                .intField('pm10', data.pm10);
-
-            // Add optional tags
-            if (tags.sensor_id) point.tag('sensor_id', tags.sensor_id);
-            if (tags.location) point.tag('location', tags.location);
-            if (tags.device_type) point.tag('device_type', tags.device_type);
-
-            // Write point
-            this.writeApi.writePoint(point);
-
-            logger.debug('Data point written to InfluxDB', { data, tags });
+            await this.client.transport.request('/ping', '', { method: 'GET' });
             return true;
         } catch (error) {
-            logger.error('Failed to write data to InfluxDB', {
+            logger.debug('InfluxDB ping failed', { error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Write storage records
+     * @param {Array<Object>} records - { measurement, time, tags, fields, types }
+     * @returns {Promise<boolean>} - false if the points were buffered in the WAL
+     */
+    async write(records) {
+        if (!this.writeApi) {
+            throw new Error('InfluxDB writer not initialized');
+        }
+
+        const written = this.enqueuePoints(records.map(record => this.toPoint(record)));
+        logger.debug('Records written to InfluxDB', { records: records.length });
+        return written;
+    }
+
+    /**
+     * Convert a storage record to a point, typed by the record's field types
+     * @param {Object} record
+     * @returns {Point}
+     */
+    toPoint(record) {
+        const point = new Point(record.measurement).timestamp(record.time);
+
+        for (const [key, value] of Object.entries(record.tags)) {
+            point.tag(key, value);
+        }
+
+        for (const [name, value] of Object.entries(record.fields)) {
+            switch (record.types[name]) {
+                case 'int':
+                    point.intField(name, value);
+                    break;
+                case 'boolean':
+                    point.booleanField(name, value);
+                    break;
+                case 'string':
+                    point.stringField(name, value);
+                    break;
+                default:
+                    point.floatField(name, value);
+            }
+        }
+
+        return point;
+    }
+
+    /**
+     * Hand points to the write API, or to the WAL while InfluxDB is down
+     * @param {Array<Point>} points
+     * @returns {boolean} - false if the points were buffered in the WAL
+     */
+    enqueuePoints(points) {
+        // Keep replay order: while the WAL holds data, new points queue behind it
+        if (!this.isConnected || this.wal.depth() > 0) {
+            this.appendToWAL(points.map(p => p.toLineProtocol(this.lineSettings())));
+            logger.warn('InfluxDB not connected, buffering data in WAL', { walDepth: this.wal.depth() });
+            return false;
+        }
+
+        this.writeApi.writePoints(points);
+        return true;
+    }
+
+    /**
+     * Line protocol settings matching the write API (ms precision)
+     * @returns {Object}
+     */
+    lineSettings() {
+        return {
+            convertTime: (value) => {
+                if (value === undefined) return undefined;
+                return value instanceof Date ? String(value.getTime()) : String(value);
+            },
+        };
+    }
+
+    /**
+     * Append line protocol records to the WAL and start recovery
+     * @param {Array<string>} lines
+     */
+    appendToWAL(lines) {
+        this.wal.append(lines.filter(Boolean));
+        metrics.bufferDepth.set(this.wal.depth());
+        this.scheduleRecovery();
+    }
+
+    /**
+     * Called by the write API when a batch fails
+     * Client errors (bad data) are dropped; everything else is kept in the WAL
+     * @param {Error} error
+     * @param {Array<string>} lines
+     * @returns {Promise<void>} - resolved so the write API does not retry in memory
+     */
+    handleWriteFailure(error, lines) {
+        const status = error.statusCode;
+        metrics.writeErrors.inc();
+
+        if (status >= 400 && status < 500 && status !== 429) {
+            logger.error('InfluxDB rejected batch, dropping lines', {
+                status,
                 error: error.message,
-                data,
+                lines: lines.length,
             });
-            return false;
+            return Promise.resolve();
+        }
+
+        logger.error('InfluxDB write failed, moving batch to WAL', {
+            error: error.message,
+            lines: lines.length,
+        });
+        this.setConnected(false);
+        this.appendToWAL(lines);
+        return Promise.resolve();
+    }
+
+    /**
+     * Send buffered points now; failed batches end up in the WAL
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.writeApi) {
+            await this.writeApi.flush();
         }
     }
 
+    /**
+     * Connection state and WAL depth for /health
+     * @returns {Object}
+     */
+    health() {
+        return {
+            connected: this.isConnected,
+            wal: this.wal.stats(),
+        };
+    }
+
     /**
      * Start periodic batch flush
      */
     startBatchFlush() {
-        setInterval(async () => {
+        if (this.flushTimer) return;
+
+        this.flushTimer = setInterval(async () => {
             if (this.writeApi) {
                 try {
                     await this.writeApi.flush();
+                    metrics.flushes.inc();
                     logger.debug('InfluxDB batch flushed');
-
-                    // Write buffered data if reconnected
-                    if (this.buffer.length > 0 && this.isConnected) {
-                        logger.info(`Writing ${this.buffer.length} buffered points`);
-                        for (const item of this.buffer) {
-                            await this.writeData(item.data, item.tags);
-                        }
-                        this.buffer = [];
-                    }
                 } catch (error) {
                     logger.error('Failed to flush InfluxDB batch', { error: error.message });
                 }
@@ -122,6 +270,104 @@ class InfluxDBWriter {
         }, config.batch.interval);
     }
 
+    /**
+     * Schedule a recovery attempt (ping, then WAL replay)
+     * @param {number} delay - Delay in ms, defaults to the current backoff
+     */
+    scheduleRecovery(delay = this.recoveryDelay) {
+        if (this.recoveryTimer || this.replaying || !this.client) return;
+
+        this.recoveryTimer = setTimeout(() => {
+            this.recoveryTimer = null;
+            this.recover();
+        }, delay);
+    }
+
+    /**
+     * Ping InfluxDB and replay the WAL oldest-first; back off exponentially on failure
+     */
+    async recover() {
+        this.replaying = true;
+
+        try {
+            if (!(await this.ping())) {
+                throw new Error('InfluxDB ping failed');
+            }
+
+            if (!this.isConnected) {
+                logger.info('InfluxDB reachable again');
+                this.setConnected(true);
+            }
+
+            let segment = this.wal.nextReplaySegment();
+            while (segment) {
+                await this.replaySegment(segment);
+                this.wal.acknowledge(segment.seq);
+                metrics.bufferDepth.set(this.wal.depth());
+                segment = this.wal.nextReplaySegment();
+            }
+
+            this.recoveryDelay = config.wal.retry.initialDelay;
+            logger.info('WAL replay complete');
+        } catch (error) {
+            this.setConnected(false);
+            logger.warn('InfluxDB recovery failed, retrying with backoff', {
+                error: error.message,
+                retryIn: this.recoveryDelay,
+                walDepth: this.wal.depth(),
+            });
+            const delay = this.recoveryDelay;
+            this.recoveryDelay = Math.min(this.recoveryDelay * 2, config.wal.retry.maxDelay);
+            this.replaying = false;
+            this.scheduleRecovery(delay);
+            return;
+        }
+
+        this.replaying = false;
+
+        // Points that arrived during the last batch of the replay
+        if (this.wal.depth() > 0) {
+            this.scheduleRecovery(0);
+        }
+    }
+
+    /**
+     * Write one WAL segment to InfluxDB in batches
+     * Re-sending a partly replayed segment is harmless: points with the same
+     * series and timestamp overwrite each other.
+     * @param {Object} segment - { seq, records }
+     */
+    async replaySegment(segment) {
+        const { org, bucket } = config.influxdb;
+        const path = `/api/v2/write?org=${encodeURIComponent(org)}&bucket=${encodeURIComponent(bucket)}&precision=ms`;
+
+        logger.info('Replaying WAL segment', { segment: segment.seq, records: segment.records.length });
+
+        for (let i = 0; i < segment.records.length; i += config.batch.size) {
+            const batch = segment.records.slice(i, i + config.batch.size);
+            try {
+                await this.client.transport.request(path, batch.join('\n'), {
+                    method: 'POST',
+                    headers: { 'content-type': 'text/plain; charset=utf-8' },
+                });
+                metrics.pointsWritten.inc(batch.length);
+            } catch (error) {
+                metrics.writeErrors.inc();
+                const status = error.statusCode;
+                if (status >= 400 && status < 500 && status !== 429) {
+                    logger.error('InfluxDB rejected WAL batch, dropping it', {
+                        segment: segment.seq,
+                        status,
+                        error: error.message,
+                        lines: batch.length,
+                    });
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+
     /**
      * Query data from InfluxDB
      * @param {string} range - Time range (e.g., '-1h', '-24h')
@@ -134,48 +380,185 @@ class InfluxDBWriter {
         }
 
         try {
-            const queryApi = this.client.getQueryApi(config.influxdb.org);
-
-            const query = `
-        from(bucket: "${config.influxdb.bucket}")
-          |> range(start: ${range})
-          |> filter(fn: (r) => r._measurement == "environmental_sensors")
-      `;
-
-            const results = [];
-
-            return new Promise((resolve, reject) => {
-                queryApi.queryRows(query, {
-                    next(row, tableMeta) {
-                        const record = tableMeta.toObject(row);
-                        results.push(record);
-                    },
-                    error(error) {
-                        logger.error('Query error', { error: error.message });
-                        reject(error);
-                    },
-                    complete() {
-                        logger.info('Query completed', { rowCount: results.length });
-                        resolve(results);
-                    },
-                });
-            });
+            const query = this.newQuery()
+                .range(range)
+                .measurement(this.measurement)
+                .build();
+
+            const results = await this.runQuery(query);
+            logger.info('Query completed', { rowCount: results.length });
+            return results;
         } catch (error) {
             logger.error('Failed to query data', { error: error.message });
             return [];
         }
     }
 
+    /**
+     * Create a query builder for the configured bucket
+     * @returns {FluxQueryBuilder}
+     */
+    newQuery() {
+        return new FluxQueryBuilder(config.influxdb.bucket, {
+            fields: dataValidator.fieldNames(),
+            tags: this.tagKeys,
+        });
+    }
+
+    /**
+     * Run a Flux query and collect the result rows
+     * @param {string} query - Flux query
+     * @returns {Promise<Array>}
+     */
+    runQuery(query) {
+        if (!this.isConnected || !this.client) {
+            return Promise.reject(new Error('InfluxDB not connected'));
+        }
+
+        const queryApi = this.client.getQueryApi(config.influxdb.org);
+        const results = [];
+
+        return new Promise((resolve, reject) => {
+            queryApi.queryRows(query, {
+                next(row, tableMeta) {
+                    results.push(tableMeta.toObject(row));
+                },
+                error(error) {
+                    logger.error('Query error', { error: error.message });
+                    reject(error);
+                },
+                complete() {
+                    logger.debug('Query completed', { rowCount: results.length });
+                    resolve(results);
+                },
+            });
+        });
+    }
+
+    /**
+     * Stream query results row by row without buffering them
+     * @param {string} query - Flux query
+     * @returns {AsyncIterable<Object>} - Row objects
+     */
+    async *streamRows(query) {
+        if (!this.isConnected || !this.client) {
+            throw new Error('InfluxDB not connected');
+        }
+
+        const queryApi = this.client.getQueryApi(config.influxdb.org);
+        for await (const { values, tableMeta } of queryApi.iterateRows(query)) {
+            yield tableMeta.toObject(values);
+        }
+    }
+
+    /**
+     * Build the export query for one time chunk: pivoted rows sorted by time
+     * @param {Object} params - { start, stop, sensorIds, locations, fields, qualities, every, fn, offset }
+     * @returns {string} - Flux query
+     */
+    exportQuery(params) {
+        const query = this.readingsQuery(params);
+
+        if (params.every) {
+            query
+                .group(this.seriesColumns)
+                .aggregateWindow(params.every, params.fn, { offset: params.offset, timeSrc: '_start' });
+        }
+
+        return query
+            .pivot()
+            .group()
+            .sort(['_time', 'sensor_id'])
+            .build();
+    }
+
+    /**
+     * Query the latest reading of each sensor
+     * Pivoted before last() so fields written at different times cannot split a sensor into several rows.
+     * @param {Object} params - { start, stop, sensorIds, locations, fields, limit, offset }
+     * @returns {Promise<Array>} - Pivoted rows, one per sensor
+     */
+    async queryLatest(params) {
+        const query = this.readingsQuery(params)
+            .group(this.seriesColumns.filter(column => column !== '_field'))
+            .pivot()
+            .group(['sensor_id'])
+            .sort(['_time'])
+            .last('_time')
+            .group()
+            .sort(['sensor_id'])
+            .limit(params.limit, params.offset)
+            .build();
+
+        return this.runQuery(query);
+    }
+
+    /**
+     * Query raw readings in a time range, newest first
+     * @param {Object} params - { start, stop, sensorIds, locations, fields, limit, offset }
+     * @returns {Promise<Array>} - Pivoted rows
+     */
+    async queryRange(params) {
+        const query = this.readingsQuery(params)
+            .pivot()
+            .group()
+            .sort(['_time'], true)
+            .limit(params.limit, params.offset)
+            .build();
+
+        return this.runQuery(query);
+    }
+
+    /**
+     * Query windowed aggregates of readings, newest window first
+     * @param {Object} params - { start, stop, sensorIds, locations, fields, window, fn, limit, offset }
+     * @returns {Promise<Array>} - Pivoted rows, one per sensor and window
+     */
+    async queryAggregate(params) {
+        const query = this.readingsQuery(params)
+            .group(this.seriesColumns)
+            .aggregateWindow(params.window, params.fn)
+            .pivot()
+            .group()
+            .sort(['_time'], true)
+            .limit(params.limit, params.offset)
+            .build();
+
+        return this.runQuery(query);
+    }
+
+    /**
+     * Start a readings query with the range and filters shared by all endpoints
+     * @param {Object} params - { start, stop, sensorIds, locations, fields, qualities }
+     * @returns {FluxQueryBuilder}
+     */
+    readingsQuery({ start, stop, sensorIds = [], locations = [], fields = [], qualities = [] }) {
+        return this.newQuery()
+            .range(start, stop)
+            .measurement(this.measurement)
+            .tag('sensor_id', sensorIds)
+            .tag('location', locations)
+            .tag('quality', qualities)
+            .fields(fields);
+    }
+
     /**
      * Close InfluxDB connection
      */
     async close() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+
         try {
             if (this.writeApi) {
                 await this.writeApi.close();
                 logger.info('InfluxDB connection closed');
             }
-            this.isConnected = false;
+            // Anything the final flush could not write stays in the WAL for the next start
+            clearTimeout(this.recoveryTimer);
+            this.recoveryTimer = null;
+            this.client = null;
+            this.setConnected(false);
         } catch (error) {
             logger.error('Error closing InfluxDB connection', { error: error.message });
         }
@@ -0,0 +1,268 @@
+const http = require('http');
+const WebSocket = require('ws');
+const config = require('./config');
+const logger = require('./logger');
+const apiKeys = require('./api-keys');
+
+/**
+ * WebSocket server pushing validated readings to dashboards in real time
+ *
+ * Clients connect to config.live.path on the HTTP server, optionally with
+ * ?sensor_id=&location=&field= filters, and receive a snapshot of the latest
+ * values followed by every matching reading. Filters can be changed with a
+ * {"type":"subscribe", "sensor_id": [...], "location": [...], "field": [...]}
+ * message. Slow clients skip readings and are dropped if they fall too far behind.
+ */
+class LiveBroadcastServer {
+    constructor() {
+        this.wss = null;
+        this.latest = new Map();
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Attach to an HTTP server, handling upgrades on the live path
+     * @param {http.Server} httpServer
+     */
+    attach(httpServer) {
+        this.wss = new WebSocket.Server({ noServer: true, maxPayload: 64 * 1024 });
+
+        httpServer.on('upgrade', (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== config.live.path) {
+                socket.destroy();
+                return;
+            }
+
+            if (apiKeys.enabled) {
+                try {
+                    apiKeys.authorize(req, url, 'read');
+                } catch (error) {
+                    const headers = Object.entries(error.headers || {})
+                        .map(([name, value]) => `${name}: ${value}\r\n`)
+                        .join('');
+                    socket.write(`HTTP/1.1 ${error.status} ${http.STATUS_CODES[error.status]}\r\n${headers}Connection: close\r\n\r\n`);
+                    socket.destroy();
+                    return;
+                }
+            }
+            this.wss.handleUpgrade(req, socket, head, (ws) => {
+                this.wss.emit('connection', ws, req);
+            });
+        });
+
+        this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), config.live.heartbeatInterval);
+
+        logger.info('Live broadcast server attached', { path: config.live.path });
+    }
+
+    /**
+     * Set up a new client
+     * @param {WebSocket} ws
+     * @param {http.IncomingMessage} req
+     */
+    handleConnection(ws, req) {
+        const url = new URL(req.url, 'http://localhost');
+
+        ws.isAlive = true;
+        ws.dropped = 0;
+        ws.filters = this.parseFilters({
+            sensor_id: url.searchParams.get('sensor_id'),
+            location: url.searchParams.get('location'),
+            field: url.searchParams.get('field'),
+        });
+
+        logger.info('Live client connected', {
+            remote: req.socket.remoteAddress,
+            clients: this.wss.clients.size,
+        });
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+
+        ws.on('message', (raw) => this.handleClientMessage(ws, raw));
+
+        ws.on('close', () => {
+            logger.info('Live client disconnected', { clients: this.wss.clients.size });
+        });
+
+        ws.on('error', (error) => {
+            logger.warn('Live client error', { error: error.message });
+        });
+
+        this.sendSnapshot(ws);
+    }
+
+    /**
+     * Handle subscribe/ping messages from a client
+     * @param {WebSocket} ws
+     * @param {Buffer} raw
+     */
+    handleClientMessage(ws, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            this.send(ws, { type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'subscribe':
+                ws.filters = this.parseFilters(message);
+                this.sendSnapshot(ws);
+                break;
+            case 'ping':
+                this.send(ws, { type: 'pong', time: new Date().toISOString() });
+                break;
+            default:
+                this.send(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    /**
+     * Normalize filter values (comma-separated string or array) into sets
+     * @param {Object} source - { sensor_id, location, field }
+     * @returns {Object}
+     */
+    parseFilters(source) {
+        const toSet = (value) => {
+            if (value === null || value === undefined || value === '') return null;
+            const list = Array.isArray(value) ? value : String(value).split(',');
+            const items = list.map(item => String(item).trim()).filter(Boolean);
+            return items.length > 0 ? new Set(items) : null;
+        };
+
+        return {
+            sensorIds: toSet(source.sensor_id),
+            locations: toSet(source.location),
+            fields: toSet(source.field),
+        };
+    }
+
+    /**
+     * Build the client view of a reading, or null if filtered out
+     * @param {Object} filters
+     * @param {Object} reading - { time, identity, data }
+     * @returns {Object|null}
+     */
+    project(filters, reading) {
+        const { identity } = reading;
+        if (filters.sensorIds && !filters.sensorIds.has(identity.sensor_id)) return null;
+        if (filters.locations && !filters.locations.has(identity.location)) return null;
+
+        let data = reading.data;
+        if (filters.fields) {
+            data = {};
+            for (const [field, value] of Object.entries(reading.data)) {
+                if (filters.fields.has(field)) data[field] = value;
+            }
+            if (Object.keys(data).length === 0) return null;
+        }
+
+        return {
+            time: reading.time,
+            sensor_id: identity.sensor_id,
+            location: identity.location,
+            device_type: identity.device_type,
+            data,
+        };
+    }
+
+    /**
+     * Send the latest value of every matching sensor
+     * @param {WebSocket} ws
+     */
+    sendSnapshot(ws) {
+        const readings = [...this.latest.values()]
+            .map(reading => this.project(ws.filters, reading))
+            .filter(Boolean);
+
+        this.send(ws, { type: 'snapshot', readings });
+    }
+
+    /**
+     * Push a validated reading to all matching clients
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - { sensor_id, location, device_type }
+     * @param {Date} timestamp
+     */
+    broadcast(data, identity, timestamp = new Date()) {
+        const reading = { time: timestamp.toISOString(), identity, data };
+        this.latest.set(identity.sensor_id, reading);
+
+        if (!this.wss) return;
+
+        for (const ws of this.wss.clients) {
+            if (ws.readyState !== WebSocket.OPEN) continue;
+
+            const view = this.project(ws.filters, reading);
+            if (view) {
+                this.send(ws, { type: 'reading', ...view }, true);
+            }
+        }
+    }
+
+    /**
+     * Send a message, applying backpressure for droppable messages
+     * @param {WebSocket} ws
+     * @param {Object} message
+     * @param {boolean} droppable - Skip if the client is behind
+     */
+    send(ws, message, droppable = false) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        if (droppable && ws.bufferedAmount > config.live.maxBufferedBytes) {
+            ws.dropped++;
+            if (ws.dropped > config.live.maxDroppedMessages) {
+                logger.warn('Closing slow live client', { dropped: ws.dropped });
+                ws.close(1013, 'Client too slow');
+            }
+            return;
+        }
+
+        ws.dropped = 0;
+        ws.send(JSON.stringify(message));
+    }
+
+    /**
+     * Ping clients and terminate those that did not answer the previous ping
+     */
+    heartbeat() {
+        for (const ws of this.wss.clients) {
+            if (!ws.isAlive) {
+                logger.info('Terminating unresponsive live client');
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }
+
+    /**
+     * Number of connected clients
+     * @returns {number}
+     */
+    clientCount() {
+        return this.wss ? this.wss.clients.size : 0;
+    }
+
+    /**
+     * Close all clients and stop the heartbeat
+     */
+    close() {
+        clearInterval(this.heartbeatTimer);
+        if (this.wss) {
+            for (const ws of this.wss.clients) {
+                ws.close(1001, 'Server shutting down');
+            }
+            this.wss.close();
+        }
+    }
+}
+
+module.exports = new LiveBroadcastServer();
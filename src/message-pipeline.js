@@ -0,0 +1,131 @@
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const dataValidator = require('./data-validator');
+const deviceIdentity = require('./device-identity');
+const deviceRegistry = require('./device-registry');
+const deduplicator = require('./deduplicator');
+const payloadDecoders = require('./payload-decoders');
+const TopicMatcher = require('./topic-matcher');
+
+/**
+ * Turns a raw sensor message into validated readings
+ * decode -> resolve identity -> registry -> validate, shared by every transport and by replay
+ *
+ * Readings from disabled devices, and from unregistered devices under the `reject`
+ * policy, are dropped. Under `quarantine` they are rejected so they reach the
+ * dead-letter store and can be replayed once the device is registered.
+ */
+class MessagePipeline {
+    constructor() {
+        this.topicMatcher = new TopicMatcher(config.mqtt.topics);
+    }
+
+    /**
+     * Process one raw message
+     * @param {Object} message - { transport, topic, payload } where payload is a string or an already decoded object
+     * @returns {Object} - { accepted: [{ data, identity, meta }], rejected: [{ stage, errors, reasons, identity, data }], dropped: [...] }
+     */
+    process({ transport, topic = null, payload }) {
+        const result = { accepted: [], rejected: [], dropped: [] };
+        const match = topic ? this.topicMatcher.match(topic) : null;
+        const params = match ? match.params : {};
+
+        // Decode payload (format chosen per topic or sniffed)
+        let readings;
+        if (typeof payload === 'string') {
+            readings = payloadDecoders.decode(payload, topic);
+            if (!readings) {
+                result.rejected.push({
+                    stage: 'decode',
+                    errors: ['Payload could not be decoded'],
+                    reasons: ['parse_error'],
+                    identity: deviceIdentity.resolve(params, {}),
+                    data: null,
+                });
+                return result;
+            }
+        } else {
+            readings = [payload];
+        }
+
+        for (const data of readings) {
+            // Resolve device identity from topic segments and payload, then apply registry metadata
+            const registration = deviceRegistry.enrich(deviceIdentity.resolve(params, data));
+            const { identity } = registration;
+
+            const registryRejection = this.checkRegistration(registration);
+            if (registryRejection) {
+                metrics.validationFailures.inc({ reason: registryRejection.reasons[0] });
+                logger.warn('Sensor data from unaccepted device', {
+                    transport,
+                    sensor_id: identity.sensor_id,
+                    status: registration.status,
+                    policy: deviceRegistry.policy,
+                });
+                const target = registryRejection.quarantine ? result.rejected : result.dropped;
+                target.push({
+                    stage: 'registry',
+                    errors: registryRejection.errors,
+                    reasons: registryRejection.reasons,
+                    identity,
+                    data,
+                });
+                continue;
+            }
+
+            // Validate data
+            const validation = dataValidator.validate(data, identity.device_type);
+            if (!validation.valid) {
+                logger.warn('Invalid sensor data received', {
+                    transport,
+                    errors: validation.errors,
+                    data,
+                    identity,
+                });
+                result.rejected.push({
+                    stage: 'validate',
+                    errors: validation.errors,
+                    reasons: validation.reasons,
+                    identity,
+                    data,
+                });
+                continue;
+            }
+
+            metrics.recordSensorMessage(identity.sensor_id);
+            logger.info('Valid sensor data received', { transport, data: validation.data, identity });
+            // Timestamp, message ID and sequence number, for deduplication
+            result.accepted.push({ data: validation.data, identity, meta: deduplicator.describe(data) });
+        }
+
+        return result;
+    }
+
+    /**
+     * Decide whether a reading's device may be written
+     * @param {Object} registration - From DeviceRegistry.enrich
+     * @returns {Object|null} - { errors, reasons, quarantine } or null if accepted
+     */
+    checkRegistration({ status, identity }) {
+        if (status === 'disabled') {
+            return {
+                errors: [`Device is disabled: ${identity.sensor_id}`],
+                reasons: ['device_disabled'],
+                quarantine: false,
+            };
+        }
+
+        if (status === 'unregistered' && deviceRegistry.policy !== 'allow') {
+            return {
+                errors: [`Device is not registered: ${identity.sensor_id}`],
+                reasons: ['unregistered_device'],
+                quarantine: deviceRegistry.policy === 'quarantine',
+            };
+        }
+
+        return null;
+    }
+}
+
+module.exports = new MessagePipeline();
@@ -0,0 +1,178 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics for the ingestion pipeline
+ * Exposed in text format at /metrics on the HTTP server
+ */
+class Metrics {
+    constructor() {
+        this.registry = new client.Registry();
+        this.registry.setDefaultLabels({ service: 'iot-monitoring' });
+        client.collectDefaultMetrics({ register: this.registry, prefix: 'iot_' });
+
+        this.lastMessageAt = new Map();
+
+        this.messagesReceived = new client.Counter({
+            name: 'iot_messages_received_total',
+            help: 'Messages received from sensors, by transport',
+            labelNames: ['transport'],
+            registers: [this.registry],
+        });
+
+        this.validationFailures = new client.Counter({
+            name: 'iot_validation_failures_total',
+            help: 'Rejected sensor messages, by reason',
+            labelNames: ['reason'],
+            registers: [this.registry],
+        });
+
+        this.pointsWritten = new client.Counter({
+            name: 'iot_points_written_total',
+            help: 'Points acknowledged by InfluxDB',
+            registers: [this.registry],
+        });
+
+        this.writeErrors = new client.Counter({
+            name: 'iot_write_errors_total',
+            help: 'Failed InfluxDB writes',
+            registers: [this.registry],
+        });
+
+        this.sinkRecords = new client.Counter({
+            name: 'iot_sink_records_total',
+            help: 'Records accepted by each storage sink',
+            labelNames: ['sink'],
+            registers: [this.registry],
+        });
+
+        this.sinkErrors = new client.Counter({
+            name: 'iot_sink_errors_total',
+            help: 'Failed storage sink writes and flushes, by sink',
+            labelNames: ['sink'],
+            registers: [this.registry],
+        });
+
+        this.forwarded = new client.Counter({
+            name: 'iot_forwarded_total',
+            help: 'Readings delivered to forwarding destinations',
+            labelNames: ['destination'],
+            registers: [this.registry],
+        });
+
+        this.forwardFailures = new client.Counter({
+            name: 'iot_forward_failures_total',
+            help: 'Readings that could not be forwarded, by destination',
+            labelNames: ['destination'],
+            registers: [this.registry],
+        });
+
+        this.authRejections = new client.Counter({
+            name: 'iot_http_auth_rejections_total',
+            help: 'HTTP requests rejected by API key authentication, by reason',
+            labelNames: ['reason'],
+            registers: [this.registry],
+        });
+
+        this.duplicates = new client.Counter({
+            name: 'iot_duplicates_total',
+            help: 'Readings dropped as duplicates of one already handled',
+            registers: [this.registry],
+        });
+
+        this.sequenceMissing = new client.Counter({
+            name: 'iot_sequence_missing_total',
+            help: 'Messages missing from gaps in device sequence numbers, by sensor',
+            labelNames: ['sensor_id'],
+            registers: [this.registry],
+        });
+
+        this.clusterLeader = new client.Gauge({
+            name: 'iot_cluster_leader',
+            help: 'Whether this instance holds the leader lease (1) or not (0)',
+            registers: [this.registry],
+        });
+
+        this.flushes = new client.Counter({
+            name: 'iot_flushes_total',
+            help: 'Periodic InfluxDB batch flushes',
+            registers: [this.registry],
+        });
+
+        this.bufferDepth = new client.Gauge({
+            name: 'iot_buffer_depth',
+            help: 'Records waiting in the write-ahead log',
+            registers: [this.registry],
+        });
+
+        this.connectionState = new client.Gauge({
+            name: 'iot_connection_state',
+            help: 'Data client connection state (1 = connected), by transport',
+            labelNames: ['transport'],
+            registers: [this.registry],
+        });
+
+        this.reconnectAttempts = new client.Gauge({
+            name: 'iot_reconnect_attempts',
+            help: 'Reconnect attempts since the last successful connection, by transport',
+            labelNames: ['transport'],
+            registers: [this.registry],
+        });
+
+        this.transportSwitches = new client.Counter({
+            name: 'iot_transport_switches_total',
+            help: 'Switches of the data client between TCP and WebSocket, by target transport',
+            labelNames: ['transport'],
+            registers: [this.registry],
+        });
+
+        const lastMessageAt = this.lastMessageAt;
+        this.secondsSinceLastMessage = new client.Gauge({
+            name: 'iot_seconds_since_last_message',
+            help: 'Seconds since the last valid message, by sensor',
+            labelNames: ['sensor_id'],
+            registers: [this.registry],
+            collect() {
+                const now = Date.now();
+                for (const [sensorId, timestamp] of lastMessageAt) {
+                    this.set({ sensor_id: sensorId }, (now - timestamp) / 1000);
+                }
+            },
+        });
+
+        this.devices = new client.Gauge({
+            name: 'iot_devices',
+            help: 'Known devices, by liveness status',
+            labelNames: ['status'],
+            registers: [this.registry],
+        });
+
+        this.handleToWrite = new client.Histogram({
+            name: 'iot_handle_to_write_seconds',
+            help: 'Latency from handling a validated reading to handing it to the storage sinks',
+            buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+            registers: [this.registry],
+        });
+    }
+
+    /**
+     * Record a valid message from a sensor
+     * @param {string} sensorId
+     */
+    recordSensorMessage(sensorId) {
+        this.lastMessageAt.set(sensorId, Date.now());
+    }
+
+    /**
+     * Render all metrics in Prometheus text format
+     * @returns {Promise<string>}
+     */
+    render() {
+        return this.registry.metrics();
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+}
+
+module.exports = new Metrics();
@@ -2,46 +2,82 @@ const mqtt = require('mqtt');
 const EventEmitter = require('events');
 const config = require('./config');
 const logger = require('./logger');
-const dataValidator = require('./data-validator');
+const messagePipeline = require('./message-pipeline');
+const TopicMatcher = require('./topic-matcher');
+const metrics = require('./metrics');
+const { connectionOptions, displayUrl } = require('./mqtt-options');
 
 /**
  * MQTT Client for sensor data collection
  */
 class MQTTClient extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Broker URL (default: MQTT_URL)
+     * @param {string} options.transport - Label for metrics, logs and dead letters
+     */
+    constructor({ url = config.mqtt.url, transport = 'mqtt' } = {}) {
         super();
+        this.url = url;
+        this.transport = transport;
         this.client = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
+        this.topicMatcher = new TopicMatcher(config.mqtt.topics);
+    }
+
+    /**
+     * Session options for the ingest connection
+     * A session expiry implies a persistent session, resumed on every reconnect.
+     * @returns {Object}
+     */
+    sessionOptions() {
+        const { clientId, qos, sessionExpiry, protocolVersion, cleanSession } = config.mqtt;
+
+        if (![0, 1, 2].includes(qos)) {
+            throw new Error(`Invalid MQTT_QOS: ${qos} (expected 0, 1 or 2)`);
+        }
+        if (sessionExpiry > 0 && protocolVersion !== 5) {
+            throw new Error('MQTT_SESSION_EXPIRY requires MQTT_PROTOCOL_VERSION=5');
+        }
+
+        const clean = cleanSession && sessionExpiry === 0;
+        if (!clean && !clientId) {
+            throw new Error('MQTT_CLIENT_ID is required for a persistent session (MQTT_CLEAN_SESSION=false or MQTT_SESSION_EXPIRY)');
+        }
+
+        const session = { clean };
+        if (clientId) {
+            session.clientId = clientId;
+        }
+        if (sessionExpiry > 0) {
+            session.properties = { sessionExpiryInterval: sessionExpiry };
+        }
+        return session;
     }
 
     /**
      * Connect to MQTT broker
+     * Configuration errors are thrown; connection errors are emitted as 'error'.
      */
     connect() {
-        try {
-            const { host, port, username, password, options } = config.mqtt;
-            const brokerUrl = `mqtt://${host}:${port}`;
+        const { username, protocolVersion, qos } = config.mqtt;
+        const session = this.sessionOptions();
+        const options = connectionOptions(this.url, session);
 
+        try {
             logger.info('Connecting to MQTT broker...', {
-                url: brokerUrl,
+                transport: this.transport,
+                url: displayUrl(this.url),
                 username: username || 'anonymous',
+                protocolVersion,
+                qos,
+                clientId: session.clientId || 'random',
+                persistentSession: !session.clean,
+                sharedGroup: config.mqtt.sharedGroup || null,
             });
 
-            // Create MQTT client connection
-            const connectionOptions = {
-                ...options,
-            };
-
-            // Add credentials if provided
-            if (username) {
-                connectionOptions.username = username;
-            }
-            if (password) {
-                connectionOptions.password = password;
-            }
-
-            this.client = mqtt.connect(brokerUrl, connectionOptions);
+            this.client = mqtt.connect(this.url, options);
 
             // Set up event handlers
             this.setupEventHandlers();
@@ -62,21 +98,42 @@ class MQTTClient extends EventEmitter {
      */
     setupEventHandlers() {
         // Connection successful
-        this.client.on('connect', () => {
+        this.client.on('connect', (connack) => {
             this.isConnected = true;
             this.reconnectAttempts = 0;
-            logger.info('Connected to MQTT broker successfully');
+            metrics.connectionState.set({ transport: this.transport }, 1);
+            metrics.reconnectAttempts.set({ transport: this.transport }, 0);
+            logger.info('Connected to MQTT broker successfully', {
+                transport: this.transport,
+                sessionPresent: connack.sessionPresent,
+            });
 
-            // Subscribe to sensor data topic
-            this.client.subscribe(config.mqtt.topic, (err) => {
+            // Subscribe to sensor data topics (again, if the session was resumed, in case they changed)
+            const { qos, sharedGroup } = config.mqtt;
+            const topics = this.topicMatcher.filters()
+                .map(filter => (sharedGroup ? `$share/${sharedGroup}/${filter}` : filter));
+            this.client.subscribe(topics, { qos }, (err, granted) => {
                 if (err) {
-                    logger.error('Failed to subscribe to topic', {
-                        topic: config.mqtt.topic,
+                    logger.error('Failed to subscribe to topics', {
+                        topics,
                         error: err.message,
                     });
-                } else {
-                    logger.info('Subscribed to topic', { topic: config.mqtt.topic });
+                    return;
+                }
+
+                // Granted QoS 128 and above are MQTT 5 failure reason codes
+                const refused = granted.filter(grant => grant.qos >= 128);
+                const downgraded = granted.filter(grant => grant.qos < qos);
+                if (refused.length > 0) {
+                    logger.error('Broker refused subscriptions', { topics: refused.map(grant => grant.topic) });
                 }
+                if (downgraded.length > 0) {
+                    logger.warn('Broker granted a lower QoS than requested', {
+                        requested: qos,
+                        granted: downgraded.map(grant => `${grant.topic}=${grant.qos}`),
+                    });
+                }
+                logger.info('Subscribed to topics', { topics, qos });
             });
 
             this.emit('connected');
@@ -89,15 +146,27 @@ class MQTTClient extends EventEmitter {
 
         // Connection error
         this.client.on('error', (error) => {
-            logger.error('MQTT connection error', { error: error.message });
+            logger.error('MQTT connection error', { transport: this.transport, error: error.message });
             this.isConnected = false;
+            metrics.connectionState.set({ transport: this.transport }, 0);
             this.emit('error', error);
         });
 
+        // Broker-initiated disconnect (MQTT 5)
+        this.client.on('disconnect', (packet) => {
+            logger.warn('MQTT broker disconnected the client', {
+                transport: this.transport,
+                reasonCode: packet.reasonCode,
+                reason: packet.properties && packet.properties.reasonString,
+            });
+        });
+
         // Reconnect attempt
         this.client.on('reconnect', () => {
             this.reconnectAttempts++;
+            metrics.reconnectAttempts.set({ transport: this.transport }, this.reconnectAttempts);
             logger.info('Attempting to reconnect to MQTT broker', {
+                transport: this.transport,
                 attempt: this.reconnectAttempts,
             });
         });
@@ -105,14 +174,16 @@ class MQTTClient extends EventEmitter {
         // Connection closed
         this.client.on('close', () => {
             this.isConnected = false;
-            logger.warn('MQTT connection closed');
+            metrics.connectionState.set({ transport: this.transport }, 0);
+            logger.warn('MQTT connection closed', { transport: this.transport });
             this.emit('disconnected');
         });
 
         // Offline
         this.client.on('offline', () => {
             this.isConnected = false;
-            logger.warn('MQTT client offline');
+            metrics.connectionState.set({ transport: this.transport }, 0);
+            logger.warn('MQTT client offline', { transport: this.transport });
         });
     }
 
@@ -124,29 +195,18 @@ class MQTTClient extends EventEmitter {
     handleMessage(topic, message) {
         try {
             const messageStr = message.toString();
-            logger.debug('Received MQTT message', { topic, message: messageStr });
+            metrics.messagesReceived.inc({ transport: this.transport });
+            logger.debug('Received MQTT message', { transport: this.transport, topic, message: messageStr });
 
-            // Parse JSON message
-            const data = dataValidator.parseJSON(messageStr);
-            if (!data) {
-                logger.error('Failed to parse message as JSON', { message: messageStr });
-                return;
-            }
+            // Decode, identify and validate
+            const result = messagePipeline.process({ transport: this.transport, topic, payload: messageStr });
 
-            // Validate data
-            const validation = dataValidator.validate(data);
-            if (!validation.valid) {
-                logger.warn('Invalid sensor data received', {
-                    errors: validation.errors,
-                    data,
-                });
-                return;
+            for (const { data, identity, meta } of result.accepted) {
+                this.emit('data', data, identity, meta);
+            }
+            for (const rejection of result.rejected) {
+                this.emit('rejected', { transport: this.transport, topic, payload: messageStr, ...rejection });
             }
-
-            // Emit validated data
-            this.emit('data', validation.data);
-
-            logger.info('Valid sensor data received', { data: validation.data });
         } catch (error) {
             logger.error('Error handling MQTT message', {
                 error: error.message,
@@ -156,15 +216,20 @@ class MQTTClient extends EventEmitter {
     }
 
     /**
-     * Disconnect from MQTT broker
+     * Disconnect from MQTT broker and stop reconnecting
+     * @returns {Promise<void>} - Resolves once in-flight messages are flushed
      */
     disconnect() {
-        if (this.client) {
-            this.client.end(false, () => {
-                logger.info('Disconnected from MQTT broker');
+        if (!this.client) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            this.client.end(false, {}, () => {
+                logger.info('Disconnected from MQTT broker', { transport: this.transport });
                 this.isConnected = false;
+                metrics.connectionState.set({ transport: this.transport }, 0);
+                resolve();
             });
-        }
+        });
     }
 
     /**
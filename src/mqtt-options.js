@@ -0,0 +1,121 @@
+const fs = require('fs');
+const config = require('./config');
+
+const SECURE_PROTOCOLS = ['mqtts:', 'wss:'];
+const TLS_VARIABLES = { ca: 'MQTT_CA_FILE', cert: 'MQTT_CERT_FILE', key: 'MQTT_KEY_FILE' };
+// Keys of a forwarding destination's tls object
+const DESTINATION_TLS_KEYS = { ca: 'tls.ca', cert: 'tls.cert', key: 'tls.key' };
+
+/**
+ * Read a PEM file named by a configuration variable
+ * @param {string} file
+ * @param {string} variable - Environment variable, for the error message
+ * @returns {Buffer}
+ */
+function readPem(file, variable) {
+    try {
+        return fs.readFileSync(file);
+    } catch (error) {
+        throw new Error(`Cannot read ${variable} ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * TLS options from a CA, client certificate and key
+ * @param {Object} tls - Shaped like config.mqtt.tls; the ingest broker's by default
+ * @param {Object} names - Setting names of the ca, cert and key files, for error messages
+ * @returns {Object}
+ */
+function tlsOptions(tls = config.mqtt.tls, names = TLS_VARIABLES) {
+    const options = { rejectUnauthorized: tls.rejectUnauthorized !== false };
+
+    if (tls.ca) {
+        options.ca = readPem(tls.ca, names.ca);
+    }
+    if (tls.cert || tls.key) {
+        if (!tls.cert || !tls.key) {
+            throw new Error(`${names.cert} and ${names.key} must be set together`);
+        }
+        options.cert = readPem(tls.cert, names.cert);
+        options.key = readPem(tls.key, names.key);
+        if (tls.passphrase) {
+            options.passphrase = tls.passphrase;
+        }
+    }
+    if (tls.servername) {
+        options.servername = tls.servername;
+    }
+    if (tls.verifyHostname === false) {
+        // The chain is still verified unless rejectUnauthorized is false
+        options.checkServerIdentity = () => undefined;
+    }
+
+    return options;
+}
+
+/**
+ * mqtt.connect options for a connection using the configured credentials and TLS
+ *
+ * TLS options are only added for mqtts:// and wss:// URLs; configuring TLS files
+ * for a plain URL is an error rather than a silent downgrade.
+ * @param {string} url - Broker URL
+ * @param {Object} overrides - Extra options, e.g. clientId
+ * @param {Object|null} broker - { username, password, tls } for another broker; the MQTT_* settings by default
+ * @returns {Object}
+ */
+function connectionOptions(url = config.mqtt.url, overrides = {}, broker = null) {
+    const { protocolVersion } = config.mqtt;
+    const { username, password, tls = {} } = broker || config.mqtt;
+    const { protocol } = new URL(url);
+
+    if (![3, 4, 5].includes(protocolVersion)) {
+        throw new Error(`Invalid MQTT_PROTOCOL_VERSION: ${protocolVersion} (expected 3, 4 or 5)`);
+    }
+    // MQTT 3.1.1 only allows a password together with a username
+    if (password && !username && !broker) {
+        throw new Error('MQTT_PASSWORD is set without MQTT_USERNAME');
+    }
+
+    const options = {
+        ...config.mqtt.options,
+        protocolVersion,
+        ...overrides,
+    };
+    if (username) {
+        options.username = username;
+        options.password = password || undefined;
+    }
+
+    if (SECURE_PROTOCOLS.includes(protocol)) {
+        const secure = tlsOptions(tls, broker ? DESTINATION_TLS_KEYS : TLS_VARIABLES);
+        Object.assign(options, secure);
+        if (protocol === 'wss:') {
+            // mqtt.js only copies some TLS options to the WebSocket; pass them all
+            options.wsOptions = { ...secure, ...options.wsOptions };
+        }
+    } else if (broker && (tls.ca || tls.cert || tls.key)) {
+        throw new Error(`TLS files are configured but the url is not mqtts:// or wss://: ${displayUrl(url)}`);
+    } else if (url === config.mqtt.url && (tls.ca || tls.cert || tls.key)) {
+        throw new Error(`MQTT TLS files are configured but MQTT_URL is not mqtts:// or wss://: ${url}`);
+    }
+
+    return options;
+}
+
+/**
+ * Broker URL without credentials, for logs
+ * @param {string} url
+ * @returns {string}
+ */
+function displayUrl(url) {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.href;
+}
+
+module.exports = {
+    connectionOptions,
+    tlsOptions,
+    displayUrl,
+};
@@ -0,0 +1,296 @@
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const TopicMatcher = require('./topic-matcher');
+
+/**
+ * JSON object (or array of objects)
+ */
+const jsonDecoder = {
+    name: 'json',
+    sniff: (text) => /^\s*[{[]/.test(text),
+    decode(text) {
+        const parsed = JSON.parse(text);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    },
+};
+
+/**
+ * SenML JSON pack (RFC 8428): records are grouped into one reading per time
+ * The base name becomes device_id, record names become fields
+ */
+const senmlDecoder = {
+    name: 'senml',
+    sniff: (text) => /^\s*\[\s*\{/.test(text) && /"(bn|n)"\s*:/.test(text),
+    decode(text) {
+        const pack = JSON.parse(text);
+        if (!Array.isArray(pack)) {
+            throw new Error('SenML pack must be an array');
+        }
+
+        const readings = new Map();
+        let baseName = '';
+        let baseTime = 0;
+        let baseValue = 0;
+
+        for (const record of pack) {
+            if (record.bn !== undefined) baseName = String(record.bn);
+            if (record.bt !== undefined) baseTime = Number(record.bt);
+            if (record.bv !== undefined) baseValue = Number(record.bv);
+
+            const name = `${baseName}${record.n || ''}`;
+            const field = name.slice(baseName.length) || name;
+            const time = baseTime + (record.t !== undefined ? Number(record.t) : 0);
+
+            let value;
+            if (record.v !== undefined) value = baseValue + Number(record.v);
+            else if (record.vs !== undefined) value = record.vs;
+            else if (record.vb !== undefined) value = record.vb;
+            else continue;
+
+            if (!readings.has(time)) {
+                const reading = {};
+                const deviceId = baseName.replace(/[/:.\-_]+$/, '');
+                if (deviceId) reading.device_id = deviceId;
+                if (time) reading.timestamp = time;
+                readings.set(time, reading);
+            }
+            readings.get(time)[field] = value;
+        }
+
+        return [...readings.values()];
+    },
+};
+
+/**
+ * Split a line protocol section on an unescaped, unquoted delimiter
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {Array<string>}
+ */
+function splitLineProtocol(text, delimiter) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            current += char + text[++i];
+        } else if (char === '"') {
+            quoted = !quoted;
+            current += char;
+        } else if (char === delimiter && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Remove line protocol escapes
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeLineProtocol(text) {
+    return text.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse a line protocol field value
+ * @param {string} raw
+ * @returns {number|string|boolean}
+ */
+function parseFieldValue(raw) {
+    if (raw.startsWith('"') && raw.endsWith('"')) {
+        return unescapeLineProtocol(raw.slice(1, -1));
+    }
+    if (/^(t|true)$/i.test(raw)) return true;
+    if (/^(f|false)$/i.test(raw)) return false;
+
+    const number = Number(raw.replace(/[iu]$/, ''));
+    if (isNaN(number)) {
+        throw new Error(`Invalid line protocol field value: ${raw}`);
+    }
+    return number;
+}
+
+/**
+ * InfluxDB line protocol, one reading per line; tags become payload fields
+ */
+const lineProtocolDecoder = {
+    name: 'line',
+    sniff: (text) => /^[^\s=,{[]+(,[^\s]+)? [^\s=]+=[^\s]+/.test(text.trim()),
+    decode(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const sections = splitLineProtocol(line, ' ').filter(Boolean);
+                if (sections.length < 2) {
+                    throw new Error(`Invalid line protocol: ${line}`);
+                }
+
+                const [key, fieldSet, timestamp] = sections;
+                const [measurement, ...tags] = splitLineProtocol(key, ',');
+                const reading = { measurement: unescapeLineProtocol(measurement) };
+
+                for (const tag of tags) {
+                    const [name, value] = splitLineProtocol(tag, '=');
+                    reading[unescapeLineProtocol(name)] = unescapeLineProtocol(value || '');
+                }
+
+                for (const field of splitLineProtocol(fieldSet, ',')) {
+                    const index = field.indexOf('=');
+                    if (index <= 0) {
+                        throw new Error(`Invalid line protocol field: ${field}`);
+                    }
+                    reading[unescapeLineProtocol(field.slice(0, index))] = parseFieldValue(field.slice(index + 1));
+                }
+
+                if (timestamp) reading.timestamp = Number(timestamp);
+                return reading;
+            });
+    },
+};
+
+/**
+ * key=value pairs separated by &, ;, commas or whitespace
+ */
+const keyValueDecoder = {
+    name: 'kv',
+    sniff: (text) => /^\s*[\w.]+\s*=/.test(text),
+    decode(text) {
+        const reading = {};
+        for (const pair of text.trim().split(/[&;,\s]+/)) {
+            if (!pair) continue;
+            const index = pair.indexOf('=');
+            if (index <= 0) {
+                throw new Error(`Invalid key=value pair: ${pair}`);
+            }
+            reading[decodeURIComponent(pair.slice(0, index))] = decodeURIComponent(pair.slice(index + 1));
+        }
+        return [reading];
+    },
+};
+
+/**
+ * Positional CSV mapped onto configured columns, one reading per line
+ */
+const csvDecoder = {
+    name: 'csv',
+    sniff: (text) => /^\s*-?[\d.]+(\s*[,;]\s*-?[\d.]*)+\s*$/.test(text.split('\n')[0]),
+    decode(text, options = {}) {
+        const columns = options.columns || config.decoders.csvColumns;
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const values = line.split(/\s*[,;]\s*/);
+                const reading = {};
+                columns.forEach((column, index) => {
+                    if (column && values[index] !== undefined && values[index] !== '') {
+                        reading[column] = values[index];
+                    }
+                });
+                return reading;
+            });
+    },
+};
+
+/**
+ * Registry of payload decoders, selected per topic pattern or by content sniffing
+ */
+class DecoderRegistry {
+    constructor() {
+        this.decoders = new Map();
+        this.sniffOrder = [];
+        this.topicRules = [];
+
+        // Sniff order matters: SenML before JSON, line protocol before key=value
+        [senmlDecoder, jsonDecoder, lineProtocolDecoder, keyValueDecoder, csvDecoder]
+            .forEach(decoder => this.register(decoder));
+
+        this.setTopicRules(config.decoders.topics);
+    }
+
+    /**
+     * Register a decoder
+     * @param {Object} decoder - { name, sniff(text) => boolean, decode(text, options) => Array<Object> }
+     */
+    register(decoder) {
+        if (!decoder.name || typeof decoder.decode !== 'function') {
+            throw new Error('Decoder must have a name and a decode function');
+        }
+        this.decoders.set(decoder.name, decoder);
+        if (typeof decoder.sniff === 'function') {
+            this.sniffOrder = this.sniffOrder.filter(name => name !== decoder.name);
+            this.sniffOrder.push(decoder.name);
+        }
+    }
+
+    /**
+     * Set the topic pattern -> decoder mapping
+     * @param {Array<Object>} rules - [{ pattern, decoder }], first match wins
+     */
+    setTopicRules(rules) {
+        this.topicRules = rules.map(rule => {
+            if (rule.decoder !== 'auto' && !this.decoders.has(rule.decoder)) {
+                throw new Error(`Unknown payload decoder '${rule.decoder}' for topic ${rule.pattern}`);
+            }
+            return { matcher: new TopicMatcher([rule.pattern]), decoder: rule.decoder };
+        });
+    }
+
+    /**
+     * Pick a decoder for a message
+     * @param {string} text
+     * @param {string} topic - Optional topic
+     * @returns {Object|null}
+     */
+    select(text, topic) {
+        if (topic) {
+            const rule = this.topicRules.find(r => r.matcher.match(topic));
+            if (rule && rule.decoder !== 'auto') {
+                return this.decoders.get(rule.decoder);
+            }
+        }
+
+        const name = this.sniffOrder.find(n => this.decoders.get(n).sniff(text));
+        return name ? this.decoders.get(name) : null;
+    }
+
+    /**
+     * Decode a raw message into readings
+     * @param {string} text - Raw payload
+     * @param {string} topic - Optional topic used for decoder selection
+     * @returns {Array<Object>|null} - Decoded readings, or null if the payload could not be decoded
+     */
+    decode(text, topic = null) {
+        const decoder = this.select(text, topic);
+        if (!decoder) {
+            metrics.validationFailures.inc({ reason: 'parse_error' });
+            logger.error('No decoder recognises payload', { topic, payload: text });
+            return null;
+        }
+
+        try {
+            return decoder.decode(text);
+        } catch (error) {
+            metrics.validationFailures.inc({ reason: 'parse_error' });
+            logger.error('Failed to decode payload', {
+                decoder: decoder.name,
+                topic,
+                error: error.message,
+                payload: text,
+            });
+            return null;
+        }
+    }
+}
+
+module.exports = new DecoderRegistry();
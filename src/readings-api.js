@@ -0,0 +1,211 @@
+const influxDBWriter = require('./influxdb-writer');
+const dataValidator = require('./data-validator');
+const { HttpError, sendJSON } = require('./http-router');
+const { QueryValidationError } = require('./flux-query-builder');
+
+/**
+ * REST endpoints for querying stored sensor readings
+ */
+class ReadingsAPI {
+    constructor() {
+        this.defaultLimit = 100;
+        this.maxLimit = 1000;
+        this.windows = ['1m', '1h', '1d'];
+        this.aggregates = ['mean', 'min', 'max'];
+    }
+
+    /**
+     * Register readings routes on the router
+     * @param {Router} router
+     */
+    register(router) {
+        router.get('/api/v1/readings', (req, res) => this.handleRange(req, res));
+        router.get('/api/v1/readings/latest', (req, res) => this.handleLatest(req, res));
+        router.get('/api/v1/readings/aggregate', (req, res) => this.handleAggregate(req, res));
+    }
+
+    /**
+     * GET /api/v1/readings - raw readings in a time range
+     */
+    async handleRange(req, res) {
+        const params = this.parseCommonParams(req.query);
+        const rows = await this.runQuery(() => influxDBWriter.queryRange(this.withLookahead(params)));
+        this.sendPage(req, res, params, rows);
+    }
+
+    /**
+     * GET /api/v1/readings/latest - latest reading per sensor
+     */
+    async handleLatest(req, res) {
+        const params = this.parseCommonParams(req.query, { start: '-24h' });
+        const rows = await this.runQuery(() => influxDBWriter.queryLatest(this.withLookahead(params)));
+        this.sendPage(req, res, params, rows);
+    }
+
+    /**
+     * GET /api/v1/readings/aggregate - windowed mean/min/max
+     */
+    async handleAggregate(req, res) {
+        const params = this.parseCommonParams(req.query);
+
+        params.window = req.query.get('window') || '1h';
+        if (!this.windows.includes(params.window)) {
+            throw new HttpError(400, `Invalid window, expected one of: ${this.windows.join(', ')}`, {
+                parameter: 'window',
+            });
+        }
+
+        params.fn = req.query.get('fn') || 'mean';
+        if (!this.aggregates.includes(params.fn)) {
+            throw new HttpError(400, `Invalid fn, expected one of: ${this.aggregates.join(', ')}`, {
+                parameter: 'fn',
+            });
+        }
+
+        const rows = await this.runQuery(() => influxDBWriter.queryAggregate(this.withLookahead(params)));
+        this.sendPage(req, res, params, rows, { window: params.window, fn: params.fn });
+    }
+
+    /**
+     * Parse and validate the query parameters shared by all readings endpoints
+     * @param {URLSearchParams} query
+     * @param {Object} defaults - Endpoint-specific defaults
+     * @returns {Object}
+     */
+    parseCommonParams(query, defaults = {}) {
+        // start/stop, tag values and field names are validated by the query builder
+        const start = query.get('start') || defaults.start || '-1h';
+        const stop = query.get('stop') || null;
+        const sensorIds = this.parseList(query, 'sensor_id');
+        const locations = this.parseList(query, 'location');
+        const fields = this.parseList(query, 'field');
+        const qualities = this.parseList(query, 'quality');
+        const invalid = qualities.filter(quality => !['good', 'suspect'].includes(quality));
+        if (invalid.length > 0) {
+            throw new HttpError(400, `Invalid quality: ${invalid.join(', ')}`, {
+                parameter: 'quality',
+                allowed: ['good', 'suspect'],
+            });
+        }
+
+        const limit = this.parseInteger(query, 'limit', this.defaultLimit, 1, this.maxLimit);
+        const offset = this.parseInteger(query, 'offset', 0, 0, Number.MAX_SAFE_INTEGER);
+
+        return { start, stop, sensorIds, locations, fields, qualities, limit, offset };
+    }
+
+    /**
+     * Parse a comma-separated (or repeated) query parameter
+     * @param {URLSearchParams} query
+     * @param {string} name
+     * @returns {Array<string>}
+     */
+    parseList(query, name) {
+        return query.getAll(name)
+            .flatMap(value => value.split(','))
+            .map(value => value.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse a bounded integer query parameter
+     * @param {URLSearchParams} query
+     * @param {string} name
+     * @param {number} fallback
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    parseInteger(query, name, fallback, min, max) {
+        const raw = query.get(name);
+        if (raw === null || raw === '') return fallback;
+
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new HttpError(400, `Invalid ${name}, expected an integer between ${min} and ${max}`, {
+                parameter: name,
+            });
+        }
+        return value;
+    }
+
+    /**
+     * Ask for one extra row so we know whether another page exists
+     * @param {Object} params
+     * @returns {Object}
+     */
+    withLookahead(params) {
+        return { ...params, limit: params.limit + 1 };
+    }
+
+    /**
+     * Run a query, mapping validation and connection failures to HTTP errors
+     * @param {Function} fn
+     * @returns {Promise<Array>}
+     */
+    async runQuery(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error instanceof QueryValidationError) {
+                const details = { parameter: error.parameter };
+                if (error.parameter === 'field') {
+                    details.allowed = dataValidator.fieldNames();
+                }
+                throw new HttpError(400, error.message, details);
+            }
+            if (!influxDBWriter.isConnected) {
+                throw new HttpError(503, 'InfluxDB not connected');
+            }
+            throw new HttpError(502, `InfluxDB query failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send a page of rows with pagination metadata
+     */
+    sendPage(req, res, params, rows, extra = {}) {
+        const hasMore = rows.length > params.limit;
+        const data = rows.slice(0, params.limit).map(row => this.formatRow(row));
+
+        let next = null;
+        if (hasMore) {
+            const url = new URL(req.url, 'http://localhost');
+            url.searchParams.set('offset', String(params.offset + params.limit));
+            url.searchParams.set('limit', String(params.limit));
+            next = `${url.pathname}${url.search}`;
+        }
+
+        sendJSON(res, 200, {
+            query: {
+                start: params.start,
+                stop: params.stop,
+                sensor_id: params.sensorIds,
+                location: params.locations,
+                field: params.fields,
+                quality: params.qualities,
+                ...extra,
+            },
+            data,
+            pagination: {
+                limit: params.limit,
+                offset: params.offset,
+                count: data.length,
+                hasMore,
+                next,
+            },
+        });
+    }
+
+    /**
+     * Strip Flux bookkeeping columns from a pivoted row
+     * @param {Object} row
+     * @returns {Object}
+     */
+    formatRow(row) {
+        const { result, table, _start, _stop, _time, _measurement, ...rest } = row;
+        return { time: _time, ...rest };
+    }
+}
+
+module.exports = new ReadingsAPI();
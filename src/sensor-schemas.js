@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Known sensor fields
+ * type: float | int | boolean | string; min/max are inclusive (omit for unbounded)
+ */
+const FIELDS = {
+    temperature: { label: 'Temperature', type: 'float', unit: '°C', min: -50, max: 100, aliases: ['temp'] },
+    humidity: { label: 'Humidity', type: 'float', unit: '%', min: 0, max: 100, aliases: ['hum', 'rh'] },
+    pm1: { label: 'PM1', type: 'int', unit: 'µg/m³', min: 0, max: 1000, aliases: ['pm1_0', 'pm1.0'] },
+    pm2_5: { label: 'PM2.5', type: 'int', unit: 'µg/m³', min: 0, max: 1000, aliases: ['pm25', 'pm2.5'] },
+    pm10: { label: 'PM10', type: 'int', unit: 'µg/m³', min: 0, max: 1000, aliases: ['pm10_0', 'pm10.0'] },
+    co2: { label: 'CO2', type: 'int', unit: 'ppm', min: 0, max: 10000, aliases: ['eco2'] },
+    tvoc: { label: 'TVOC', type: 'int', unit: 'ppb', min: 0, max: 60000, aliases: ['voc'] },
+    pressure: { label: 'Pressure', type: 'float', unit: 'hPa', min: 300, max: 1100, aliases: ['baro'] },
+    noise: { label: 'Noise', type: 'float', unit: 'dB(A)', min: 0, max: 140, aliases: ['sound', 'db'] },
+};
+
+/**
+ * Built-in schemas per device_type: field name -> required flag
+ */
+const SCHEMAS = {
+    environmental: {
+        temperature: true,
+        humidity: true,
+        pm1: true,
+        pm2_5: true,
+        pm10: true,
+        co2: false,
+        tvoc: false,
+        pressure: false,
+        noise: false,
+    },
+    indoor: {
+        temperature: true,
+        humidity: true,
+        co2: true,
+        tvoc: false,
+        pm1: false,
+        pm2_5: false,
+        pm10: false,
+    },
+    weather: {
+        temperature: true,
+        humidity: true,
+        pressure: true,
+    },
+    noise: {
+        noise: true,
+    },
+};
+
+/**
+ * Registry of declarative validation schemas, one per device_type
+ */
+class SchemaRegistry {
+    constructor() {
+        this.schemas = new Map();
+
+        for (const [deviceType, fields] of Object.entries(SCHEMAS)) {
+            this.register(deviceType, Object.entries(fields).map(([name, required]) => ({
+                name,
+                ...FIELDS[name],
+                required,
+            })));
+        }
+
+        if (config.schemas.file) {
+            this.load(config.schemas.file);
+        }
+    }
+
+    /**
+     * Register (or replace) the schema of a device type
+     * @param {string} deviceType
+     * @param {Array<Object>} fields - [{ name, label, type, unit, min, max, required, aliases }]
+     */
+    register(deviceType, fields) {
+        const normalized = fields.map(field => {
+            if (!field.name || !['float', 'int', 'boolean', 'string'].includes(field.type)) {
+                throw new Error(`Invalid field definition in schema '${deviceType}': ${JSON.stringify(field)}`);
+            }
+            return {
+                name: field.name,
+                label: field.label || field.name,
+                type: field.type,
+                unit: field.unit || null,
+                min: field.min !== undefined ? field.min : null,
+                max: field.max !== undefined ? field.max : null,
+                required: field.required === true,
+                aliases: field.aliases || [],
+            };
+        });
+
+        this.schemas.set(deviceType, { deviceType, fields: normalized });
+    }
+
+    /**
+     * Load extra schemas from a JSON file: { "<device_type>": [fields...] }
+     * Fields may reference a built-in field by name and override its properties
+     * @param {string} file
+     */
+    load(file) {
+        const schemaPath = path.resolve(file);
+        const definition = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+
+        for (const [deviceType, fields] of Object.entries(definition)) {
+            this.register(deviceType, fields.map(field => ({
+                ...(FIELDS[field.name] || {}),
+                ...field,
+            })));
+        }
+
+        logger.info('Sensor schemas loaded', { file: schemaPath, deviceTypes: Object.keys(definition) });
+    }
+
+    /**
+     * Schema for a device type, falling back to the default device type
+     * @param {string} deviceType
+     * @returns {Object} - { deviceType, fields }
+     */
+    get(deviceType) {
+        return this.schemas.get(deviceType)
+            || this.schemas.get(config.identity.defaults.device_type)
+            || this.schemas.get('environmental');
+    }
+
+    /**
+     * All field names known to any schema
+     * @returns {Array<string>}
+     */
+    fieldNames() {
+        const names = new Set();
+        for (const schema of this.schemas.values()) {
+            schema.fields.forEach(field => names.add(field.name));
+        }
+        return [...names];
+    }
+}
+
+module.exports = new SchemaRegistry();
@@ -0,0 +1,644 @@
+#!/usr/bin/env node
+/**
+ * Sensor simulator and load generator
+ *
+ * Usage: node src/simulator.js [options]                  simulate virtual devices
+ *        node src/simulator.js --record <file> [options]  capture live messages
+ *        node src/simulator.js --replay <file> [options]  replay a capture
+ *
+ * Publishes to the MQTT broker (mqtt://) or its WebSocket endpoint (ws://),
+ * the same way real hardware does.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const mqtt = require('mqtt');
+const config = require('./config');
+const TopicMatcher = require('./topic-matcher');
+const { connectionOptions, displayUrl } = require('./mqtt-options');
+
+const USAGE = `Usage: node src/simulator.js [options]
+       node src/simulator.js --record <file> [options]
+       node src/simulator.js --replay <file> [options]
+
+Connection:
+  --url <url>                Broker URL, mqtt(s):// or ws(s):// (default: MQTT_URL)
+  --websocket                Use the WebSocket endpoint (WS_URL)
+  --qos <0|1|2>              Publish QoS (default: 0)
+
+Simulation:
+  --devices <n>              Number of virtual devices (default: 10)
+  --rate <n>                 Messages per second across all devices (default: 1)
+  --locations <a,b,...>      Locations, assigned round-robin (default: site-1,site-2,site-3)
+  --topic <template>         Topic, may use {sensor_id}, {location}, {device_type} (default: MQTT_TOPIC)
+  --invalid-rate <0-1>       Fraction of invalid payloads (default: 0.01)
+  --episodes-per-day <n>     PM pollution episodes per location per day (default: 1)
+  --clock-speed <n>          Simulated seconds per real second, to compress the daily cycle (default: 1)
+  --seed <n>                 Random seed for a reproducible run
+
+Capture:
+  --record <file>            Subscribe to MQTT_TOPICS and append messages to an NDJSON capture
+  --replay <file>            Publish a capture (or a dead-letter file) with its original spacing
+  --speed <n>                Replay speed factor, 0 = as fast as possible (default: 1)
+  --loop                     Restart the replay at the end of the file
+
+Limits:
+  --duration <seconds>       Stop after this long (default: run until Ctrl+C)
+  --count <n>                Stop after this many messages
+  -h, --help                 Show this help`;
+
+const REPORT_INTERVAL = 5000;
+const MAX_TICK = 100;
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Environmental readings for a set of virtual devices
+ *
+ * Temperature follows a daily curve peaking mid-afternoon, humidity moves
+ * opposite to it, and PM has morning and evening traffic peaks plus random
+ * multi-hour pollution episodes shared by every device at a location.
+ */
+class ReadingModel {
+    /**
+     * @param {Object} options - Parsed simulation options
+     * @param {Function} random
+     */
+    constructor(options, random) {
+        this.options = options;
+        this.random = random;
+        this.episodes = new Map();
+        this.hourFormat = new Intl.DateTimeFormat('en-US', {
+            timeZone: config.export.timeZone,
+            hourCycle: 'h23',
+            hour: 'numeric',
+            minute: 'numeric',
+        });
+
+        this.devices = Array.from({ length: options.devices }, (_, index) => ({
+            sensor_id: `sim-${String(index + 1).padStart(3, '0')}`,
+            location: options.locations[index % options.locations.length],
+            device_type: 'environmental',
+            temperatureOffset: (random() - 0.5) * 2,
+            pmFactor: 0.8 + random() * 0.4,
+            drift: 0,
+        }));
+    }
+
+    /**
+     * Next reading of a device
+     * @param {Object} device
+     * @param {number} time - Simulated time in ms
+     * @returns {Object} - Payload fields
+     */
+    reading(device, time) {
+        const hour = this.localHour(time);
+
+        // Slow random walk so each device wanders a little around the curve
+        device.drift = device.drift * 0.98 + this.gaussian() * 0.05;
+
+        const daily = Math.sin((2 * Math.PI * (hour - 9)) / 24);
+        const temperature = 28 + 5 * daily + device.temperatureOffset + device.drift + this.gaussian() * 0.2;
+        const humidity = Math.min(100, Math.max(5, 65 - 15 * daily + this.gaussian() * 1.5));
+
+        const traffic = 1 + 0.8 * this.peak(hour, 8, 1.5) + 0.6 * this.peak(hour, 19, 2);
+        const pm2_5 = Math.max(0, 18 * traffic * device.pmFactor * this.episodeFactor(device.location, time)
+            * Math.exp(this.gaussian() * 0.1));
+
+        return {
+            temperature: Number(temperature.toFixed(1)),
+            humidity: Number(humidity.toFixed(1)),
+            pm1: Math.round(pm2_5 * 0.7),
+            pm2_5: Math.round(pm2_5),
+            pm10: Math.round(pm2_5 * (1.3 + this.random() * 0.2)),
+        };
+    }
+
+    /**
+     * Turn a valid reading into one the service should reject
+     * @param {Object} payload
+     * @returns {string} - Raw payload
+     */
+    corrupt(payload) {
+        const kind = Math.floor(this.random() * 4);
+        if (kind === 0) {
+            return JSON.stringify(payload).slice(0, -5);
+        }
+        if (kind === 1) {
+            return JSON.stringify({ ...payload, pm2_5: 5000 });
+        }
+        if (kind === 2) {
+            const missing = { ...payload };
+            delete missing.humidity;
+            return JSON.stringify(missing);
+        }
+        return JSON.stringify({ ...payload, temperature: 'n/a' });
+    }
+
+    /**
+     * PM multiplier from the location's current pollution episode
+     * @param {string} location
+     * @param {number} time - Simulated time in ms
+     * @returns {number}
+     */
+    episodeFactor(location, time) {
+        let episode = this.episodes.get(location);
+        if (!episode || time >= episode.end) {
+            episode = this.scheduleEpisode(time);
+            this.episodes.set(location, episode);
+        }
+
+        if (time < episode.start) {
+            return 1;
+        }
+
+        // Ramp up and back down over the episode
+        const progress = (time - episode.start) / (episode.end - episode.start);
+        return 1 + (episode.intensity - 1) * Math.sin(Math.PI * progress);
+    }
+
+    /**
+     * Next episode after a time: a random wait, then 1-6 hours at 3-8x PM
+     * @param {number} time - Simulated time in ms
+     * @returns {Object} - { start, end, intensity }
+     */
+    scheduleEpisode(time) {
+        const start = time + this.nextEpisodeDelay();
+        return {
+            start,
+            end: start + (1 + this.random() * 5) * 3600000,
+            intensity: 3 + this.random() * 5,
+        };
+    }
+
+    /**
+     * Exponentially distributed wait until the next episode
+     * @returns {number} - ms
+     */
+    nextEpisodeDelay() {
+        if (this.options.episodesPerDay <= 0) {
+            return Infinity;
+        }
+        return (-Math.log(1 - this.random()) / this.options.episodesPerDay) * 86400000;
+    }
+
+    /**
+     * Bell-shaped bump around an hour of the day
+     * @param {number} hour
+     * @param {number} center
+     * @param {number} width
+     * @returns {number} - 0..1
+     */
+    peak(hour, center, width) {
+        const distance = Math.min(Math.abs(hour - center), 24 - Math.abs(hour - center));
+        return Math.exp(-(distance * distance) / (2 * width * width));
+    }
+
+    /**
+     * Hour of the day in the export time zone, so curves line up with local dashboards
+     * @param {number} time - ms
+     * @returns {number} - 0..24
+     */
+    localHour(time) {
+        const parts = this.hourFormat.formatToParts(new Date(time));
+        const value = type => Number(parts.find(part => part.type === type).value);
+        return value('hour') + value('minute') / 60;
+    }
+
+    /**
+     * Standard normal sample (Box-Muller)
+     * @returns {number}
+     */
+    gaussian() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+/**
+ * Simulator run: one broker connection in simulate, record or replay mode
+ */
+class Simulator {
+    /**
+     * @param {Object} options - Parsed command-line options
+     */
+    constructor(options) {
+        this.options = options;
+        this.random = createRandom(options.seed);
+        this.client = null;
+        this.stopRequested = false;
+        this.stopWaiters = new Set();
+        this.started = Date.now();
+        this.stats = { sent: 0, invalid: 0, failed: 0, lastReport: Date.now(), lastSent: 0 };
+    }
+
+    /**
+     * Run until the limits are reached or Ctrl+C
+     * @returns {Promise<number>} - Process exit code
+     */
+    async run() {
+        if (!(await this.connect())) {
+            return 1;
+        }
+
+        const reporter = setInterval(() => this.progress(), REPORT_INTERVAL);
+        const deadline = this.options.duration
+            ? setTimeout(() => this.stop(), this.options.duration * 1000)
+            : null;
+
+        try {
+            if (this.options.record) {
+                await this.record();
+            } else if (this.options.replay) {
+                await this.replay();
+            } else {
+                await this.simulate();
+            }
+        } finally {
+            clearInterval(reporter);
+            clearTimeout(deadline);
+            await new Promise(resolve => this.client.end(false, {}, resolve));
+        }
+
+        this.report();
+        return 0;
+    }
+
+    /**
+     * Connect to the broker
+     * @returns {Promise<boolean>}
+     */
+    async connect() {
+        const brokerOptions = connectionOptions(this.options.url, {
+            // Drop instead of buffering while disconnected, so a long outage cannot fill memory
+            queueQoSZero: false,
+            clientId: `iot-simulator-${process.pid}`,
+        });
+
+        console.error(`Connecting to ${displayUrl(this.options.url)}...`);
+        this.client = mqtt.connect(this.options.url, brokerOptions);
+
+        this.client.on('reconnect', () => console.error('Reconnecting...'));
+        this.client.on('offline', () => console.error('Broker connection lost'));
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.client.once('connect', resolve);
+                this.client.once('error', reject);
+                setTimeout(() => reject(new Error('connection timed out')), brokerOptions.connectTimeout + 1000);
+            });
+        } catch (error) {
+            console.error(`Cannot connect to ${displayUrl(this.options.url)}: ${error.message}`);
+            this.client.end(true);
+            return false;
+        }
+
+        this.client.on('error', error => console.error(`Broker error: ${error.message}`));
+        return true;
+    }
+
+    /**
+     * Publish virtual device readings at the target rate
+     */
+    async simulate() {
+        const { options } = this;
+        const model = new ReadingModel(options, this.random);
+        console.error(
+            `Simulating ${model.devices.length} devices at ${options.rate} msg/s` +
+            `${options.clockSpeed !== 1 ? ` (clock x${options.clockSpeed})` : ''}`
+        );
+
+        let next = 0;
+        while (!this.stopRequested) {
+            // Publish everything that is due, then sleep until the next message
+            const elapsed = Date.now() - this.started;
+            while (next <= (elapsed / 1000) * options.rate && !this.limitReached()) {
+                const device = model.devices[next % model.devices.length];
+                const simulated = this.started + elapsed * options.clockSpeed;
+                const payload = {
+                    sensor_id: device.sensor_id,
+                    location: device.location,
+                    device_type: device.device_type,
+                    ...model.reading(device, simulated),
+                };
+
+                let raw = JSON.stringify(payload);
+                if (this.random() < options.invalidRate) {
+                    raw = model.corrupt(payload);
+                    this.stats.invalid++;
+                }
+
+                this.publish(this.topicFor(device), raw);
+                next++;
+            }
+
+            if (this.limitReached()) break;
+
+            const due = this.started + (next / options.rate) * 1000;
+            await this.sleep(Math.min(MAX_TICK, Math.max(0, due - Date.now())));
+        }
+    }
+
+    /**
+     * Publish a capture with its original message spacing
+     */
+    async replay() {
+        const { options } = this;
+        console.error(`Replaying ${options.replay}${options.speed ? ` at x${options.speed}` : ' as fast as possible'}`);
+
+        do {
+            const start = Date.now();
+            let firstTime = null;
+
+            for await (const { line, entry, error } of this.readCapture(options.replay)) {
+                if (this.stopRequested || this.limitReached()) break;
+                if (error) {
+                    console.error(`line ${line}: ${error}`);
+                    continue;
+                }
+
+                if (options.speed > 0 && entry.time !== null) {
+                    if (firstTime === null) firstTime = entry.time;
+                    const wait = start + (entry.time - firstTime) / options.speed - Date.now();
+                    if (wait > 0) await this.sleep(wait);
+                    if (this.stopRequested) break;
+                }
+
+                this.publish(entry.topic, entry.payload);
+            }
+        } while (options.loop && !this.stopRequested && !this.limitReached());
+    }
+
+    /**
+     * Append every message on the subscribed topics to a capture file
+     */
+    async record() {
+        const filters = new TopicMatcher(config.mqtt.topics).filters();
+        const out = fs.createWriteStream(this.options.record, { flags: 'a' });
+
+        this.client.on('message', (topic, message) => {
+            if (this.stopRequested) return;
+            out.write(`${JSON.stringify({ receivedAt: new Date().toISOString(), topic, payload: message.toString() })}\n`);
+            this.stats.sent++;
+            if (this.limitReached()) this.stop();
+        });
+
+        await new Promise((resolve, reject) => {
+            this.client.subscribe(filters, { qos: this.options.qos }, error => (error ? reject(error) : resolve()));
+        });
+        console.error(`Recording ${filters.join(', ')} to ${this.options.record}`);
+
+        while (!this.stopRequested) {
+            await this.sleep(MAX_TICK);
+        }
+        await new Promise(resolve => out.end(resolve));
+    }
+
+    /**
+     * Read capture lines: { receivedAt, topic, payload } as written by --record or the dead-letter store
+     * @param {string} file
+     * @returns {AsyncGenerator<Object>} - { line, entry } or { line, error }
+     */
+    async *readCapture(file) {
+        const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+        let line = 0;
+
+        for await (const text of lines) {
+            line++;
+            if (!text.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(text);
+            } catch (error) {
+                yield { line, error: 'invalid JSON' };
+                continue;
+            }
+
+            if (typeof record.topic !== 'string' || record.payload === undefined) {
+                yield { line, error: 'expected topic and payload' };
+                continue;
+            }
+
+            const time = Date.parse(record.receivedAt);
+            yield {
+                line,
+                entry: {
+                    topic: record.topic,
+                    payload: typeof record.payload === 'string' ? record.payload : JSON.stringify(record.payload),
+                    time: isNaN(time) ? null : time,
+                },
+            };
+        }
+    }
+
+    /**
+     * Publish one message
+     * @param {string} topic
+     * @param {string} payload
+     */
+    publish(topic, payload) {
+        if (!this.client.connected) {
+            this.stats.failed++;
+            return;
+        }
+
+        this.stats.sent++;
+        this.client.publish(topic, payload, { qos: this.options.qos }, error => {
+            if (error) this.stats.failed++;
+        });
+    }
+
+    /**
+     * Topic for a device from the --topic template
+     * @param {Object} device
+     * @returns {string}
+     */
+    topicFor(device) {
+        return this.options.topic.replace(/\{(\w+)\}/g, (match, name) =>
+            (device[name] !== undefined ? device[name] : match));
+    }
+
+    /**
+     * Whether --count has been reached
+     * @returns {boolean}
+     */
+    limitReached() {
+        return this.options.count > 0 && this.stats.sent >= this.options.count;
+    }
+
+    /**
+     * Sleep, waking early on stop
+     * @param {number} ms
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                this.stopWaiters.delete(done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            this.stopWaiters.add(done);
+        });
+    }
+
+    /**
+     * Request the run to end
+     */
+    stop() {
+        this.stopRequested = true;
+        [...this.stopWaiters].forEach(resolve => resolve());
+    }
+
+    /**
+     * Print the rate over the last report interval
+     */
+    progress() {
+        const now = Date.now();
+        const rate = ((this.stats.sent - this.stats.lastSent) * 1000) / (now - this.stats.lastReport);
+        this.stats.lastReport = now;
+        this.stats.lastSent = this.stats.sent;
+
+        const verb = this.options.record ? 'recorded' : 'sent';
+        console.error(`${this.stats.sent} ${verb} (${rate.toFixed(1)} msg/s), ${this.stats.invalid} invalid, ${this.stats.failed} failed`);
+    }
+
+    /**
+     * Print the final summary
+     */
+    report() {
+        const seconds = (Date.now() - this.started) / 1000;
+        const verb = this.options.record ? 'Recorded' : 'Sent';
+        console.log([
+            `${verb}: ${this.stats.sent} messages in ${seconds.toFixed(1)}s (${(this.stats.sent / seconds).toFixed(1)} msg/s)`,
+            `  Invalid: ${this.stats.invalid}`,
+            `  Failed:  ${this.stats.failed}`,
+        ].join('\n'));
+    }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv
+ * @returns {Object|null} - Options, or null when help was requested
+ */
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            url: { type: 'string' },
+            websocket: { type: 'boolean', default: false },
+            qos: { type: 'string', default: '0' },
+            devices: { type: 'string', default: '10' },
+            rate: { type: 'string', default: '1' },
+            locations: { type: 'string', default: 'site-1,site-2,site-3' },
+            topic: { type: 'string', default: config.mqtt.topic },
+            'invalid-rate': { type: 'string', default: '0.01' },
+            'episodes-per-day': { type: 'string', default: '1' },
+            'clock-speed': { type: 'string', default: '1' },
+            seed: { type: 'string' },
+            record: { type: 'string' },
+            replay: { type: 'string' },
+            speed: { type: 'string', default: '1' },
+            loop: { type: 'boolean', default: false },
+            duration: { type: 'string', default: '0' },
+            count: { type: 'string', default: '0' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help) return null;
+
+    const number = (name, { min = 0, integer = false, max = Infinity } = {}) => {
+        const value = Number(values[name]);
+        if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            throw new Error(`Invalid --${name}: ${values[name]}`);
+        }
+        return value;
+    };
+
+    if (values.record && values.replay) {
+        throw new Error('--record and --replay cannot be combined');
+    }
+    if (values.replay && !fs.existsSync(values.replay)) {
+        throw new Error(`File not found: ${values.replay}`);
+    }
+
+    const url = values.url
+        || (values.websocket ? config.websocket.url : config.mqtt.url);
+    if (!/^(mqtts?|wss?):\/\//.test(url)) {
+        throw new Error(`Invalid --url: ${url} (expected mqtt://, mqtts://, ws:// or wss://)`);
+    }
+
+    const locations = values.locations.split(',').map(location => location.trim()).filter(Boolean);
+    if (!locations.length) {
+        throw new Error('--locations must name at least one location');
+    }
+
+    const rate = number('rate');
+    if (rate <= 0) {
+        throw new Error(`Invalid --rate: ${values.rate}`);
+    }
+
+    return {
+        url,
+        qos: number('qos', { integer: true, max: 2 }),
+        devices: number('devices', { min: 1, integer: true }),
+        rate,
+        locations,
+        topic: values.topic,
+        invalidRate: number('invalid-rate', { max: 1 }),
+        episodesPerDay: number('episodes-per-day'),
+        clockSpeed: number('clock-speed', { min: 0.001 }),
+        seed: values.seed !== undefined ? number('seed', { integer: true }) : Date.now(),
+        record: values.record || null,
+        replay: values.replay || null,
+        speed: number('speed'),
+        loop: values.loop,
+        duration: number('duration'),
+        count: number('count', { integer: true }),
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+
+    const simulator = new Simulator(options);
+    process.on('SIGINT', () => simulator.stop());
+
+    process.exit(await simulator.run());
+}
+
+main().catch(error => {
+    console.error(`Simulator failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,264 @@
+const config = require('./config');
+const logger = require('./logger');
+const sensorSchemas = require('./sensor-schemas');
+const aqiCalculator = require('./aqi');
+const anomalyDetector = require('./anomaly-detector');
+const { createSink } = require('./storage-sinks');
+const metrics = require('./metrics');
+
+/**
+ * Builds storage records from validated readings and writes them to every
+ * configured sink
+ *
+ * Records are plain objects: { measurement, time, tags, fields, types }, where
+ * types maps each field to int | float | boolean | string. Sinks are written in
+ * the order of config.storage.sinks; a failing sink is logged and counted
+ * without affecting the others.
+ */
+class SinkManager {
+    constructor() {
+        this.sinks = [];
+        this.failed = new Map();
+        this.defaultTags = { source: 'mqtt-sensor', instance: config.cluster.instanceId };
+    }
+
+    /**
+     * Create and connect the configured sinks
+     * @returns {Promise<Object>} - Sink name -> true if it is ready to write
+     */
+    async connect() {
+        const results = {};
+        aqiCalculator.validate();
+
+        for (const name of config.storage.sinks) {
+            const sink = createSink(name);
+            try {
+                results[name] = await sink.connect();
+                this.sinks.push(sink);
+                if (!results[name]) {
+                    logger.error('Storage sink not reachable, it will keep retrying in background', { sink: name });
+                }
+            } catch (error) {
+                // A sink that cannot even open (missing driver, bad path) is left out
+                results[name] = false;
+                this.failed.set(name, error.message);
+                logger.error('Failed to open storage sink', { sink: name, error: error.message });
+            }
+        }
+
+        logger.info('Storage sinks ready', { sinks: this.sinks.map(sink => sink.name) });
+        return results;
+    }
+
+    /**
+     * Write a validated reading with its AQI and anomaly records
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - { sensor_id, location, device_type, latitude, longitude }
+     * @param {Date} timestamp - Reading time (defaults to now)
+     * @returns {Promise<boolean>} - true if every sink accepted the records
+     */
+    async writeData(data, identity = {}, timestamp = new Date()) {
+        let records;
+        try {
+            records = this.buildReadingRecords(data, identity, timestamp);
+        } catch (error) {
+            logger.error('Failed to build storage records', { error: error.message, data });
+            return false;
+        }
+
+        return this.write(records);
+    }
+
+    /**
+     * Write a device liveness transition
+     * @param {Object} event - Status event from the device monitor
+     * @returns {Promise<boolean>}
+     */
+    writeDeviceStatus(event) {
+        const record = this.createRecord(config.liveness.measurement, event, new Date(event.time));
+        this.setField(record, 'status', event.status, 'string');
+        this.setField(record, 'previous', event.previous, 'string');
+        this.setField(record, 'silence_seconds', event.silence_seconds, 'float');
+        this.setField(record, 'message_rate', event.message_rate, 'float');
+
+        return this.write([record]);
+    }
+
+    /**
+     * Hand records to each sink in order, isolating failures
+     * @param {Array<Object>} records
+     * @returns {Promise<boolean>} - true if every sink accepted them
+     */
+    async write(records) {
+        let ok = true;
+
+        for (const sink of this.sinks) {
+            try {
+                await sink.write(records);
+                metrics.sinkRecords.inc({ sink: sink.name }, records.length);
+            } catch (error) {
+                ok = false;
+                metrics.sinkErrors.inc({ sink: sink.name });
+                logger.error('Storage sink write failed', {
+                    sink: sink.name,
+                    error: error.message,
+                    records: records.length,
+                });
+            }
+        }
+
+        return ok;
+    }
+
+    /**
+     * Build the reading record plus derived AQI and anomaly records
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - Device identity
+     * @param {Date} timestamp
+     * @returns {Array<Object>}
+     */
+    buildReadingRecords(data, identity, timestamp) {
+        const reading = this.createRecord(config.storage.measurement, identity, timestamp);
+
+        // Fields typed by the device schema
+        for (const field of sensorSchemas.get(identity.device_type).fields) {
+            const value = data[field.name];
+            if (value !== undefined && value !== null) {
+                this.setField(reading, field.name, value, field.type);
+            }
+        }
+
+        // Coordinates from the device registry
+        if (identity.latitude !== undefined && identity.longitude !== undefined) {
+            this.setField(reading, 'latitude', identity.latitude, 'float');
+            this.setField(reading, 'longitude', identity.longitude, 'float');
+        }
+
+        // Derived AQI values go to the companion measurement
+        const records = [reading, ...this.buildAQIRecords(data, identity, timestamp)];
+
+        // Flag suspicious readings instead of dropping them
+        if (config.anomaly.enabled) {
+            const assessment = anomalyDetector.check(data, identity, timestamp);
+            reading.tags.quality = assessment.quality;
+            records.push(...this.buildAnomalyRecords(assessment.anomalies, identity, timestamp));
+        }
+
+        return records;
+    }
+
+    /**
+     * Build one AQI record per active standard
+     * @param {Object} data - Validated sensor data
+     * @param {Object} identity - Device identity
+     * @param {Date} timestamp - Timestamp of the source reading
+     * @returns {Array<Object>}
+     */
+    buildAQIRecords(data, identity, timestamp) {
+        return aqiCalculator.calculateAll(data).map(result => {
+            const record = this.createRecord(config.aqi.measurement, identity, timestamp);
+            record.tags.standard = result.standard;
+            this.setField(record, 'aqi', result.aqi, 'int');
+            this.setField(record, 'category', result.category, 'string');
+            this.setField(record, 'dominant_pollutant', result.dominant, 'string');
+
+            for (const [field, sub] of Object.entries(result.subIndices)) {
+                this.setField(record, `aqi_${field}`, sub.index, 'int');
+            }
+            return record;
+        });
+    }
+
+    /**
+     * Build anomaly detail records, one per detected anomaly
+     * @param {Array<Object>} anomalies - From the anomaly detector
+     * @param {Object} identity - Device identity of the reading
+     * @param {Date} timestamp
+     * @returns {Array<Object>}
+     */
+    buildAnomalyRecords(anomalies, identity, timestamp) {
+        return anomalies.map(anomaly => {
+            const record = this.createRecord(config.anomaly.measurement, identity, timestamp);
+            record.tags.type = anomaly.type;
+            if (anomaly.field) record.tags.field = anomaly.field;
+            this.setField(record, 'value', anomaly.value, 'float');
+            this.setField(record, 'score', anomaly.score, 'float');
+            this.setField(record, 'threshold', anomaly.threshold, 'float');
+            return record;
+        });
+    }
+
+    /**
+     * Empty record tagged with the device identity
+     * @param {string} measurement
+     * @param {Object} identity - sensor_id, location, device_type
+     * @param {Date} time
+     * @returns {Object}
+     */
+    createRecord(measurement, identity, time) {
+        const tags = { ...this.defaultTags };
+        if (identity.sensor_id) tags.sensor_id = identity.sensor_id;
+        if (identity.location) tags.location = identity.location;
+        if (identity.device_type) tags.device_type = identity.device_type;
+
+        return { measurement, time, tags, fields: {}, types: {} };
+    }
+
+    /**
+     * Set a typed field on a record
+     * @param {Object} record
+     * @param {string} name
+     * @param {*} value
+     * @param {string} type - int | float | boolean | string
+     */
+    setField(record, name, value, type) {
+        record.fields[name] = value;
+        record.types[name] = type;
+    }
+
+    /**
+     * Flush buffered records in every sink
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        for (const sink of this.sinks) {
+            try {
+                await sink.flush();
+            } catch (error) {
+                metrics.sinkErrors.inc({ sink: sink.name });
+                logger.error('Storage sink flush failed', { sink: sink.name, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * State of every configured sink
+     * @returns {Object} - Sink name -> health
+     */
+    health() {
+        const health = {};
+        for (const sink of this.sinks) {
+            health[sink.name] = sink.health();
+        }
+        for (const [name, error] of this.failed) {
+            health[name] = { connected: false, error };
+        }
+        return health;
+    }
+
+    /**
+     * Flush and close every sink
+     */
+    async close() {
+        for (const sink of this.sinks) {
+            try {
+                await sink.close();
+            } catch (error) {
+                logger.error('Error closing storage sink', { sink: sink.name, error: error.message });
+            }
+        }
+        this.sinks = [];
+    }
+}
+
+module.exports = new SinkManager();
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+const RETENTION_CHECK_INTERVAL = 3600000;
+
+/**
+ * Base for sinks that buffer records and write them in batches
+ *
+ * Subclasses implement open(), writeBatch(records) and closeStorage(). A
+ * failed batch is kept for the next flush, bounded so a broken disk cannot
+ * exhaust memory.
+ */
+class BufferedSink {
+    /**
+     * @param {string} name
+     */
+    constructor(name) {
+        this.name = name;
+        this.pending = [];
+        this.maxPending = config.batch.size * 100;
+        this.flushTimer = null;
+        this.flushing = null;
+        this.opened = false;
+        this.written = 0;
+        this.dropped = 0;
+        this.lastError = null;
+    }
+
+    /**
+     * Open the storage and start the periodic flush
+     * @returns {Promise<boolean>}
+     */
+    async connect() {
+        await this.open();
+        this.opened = true;
+
+        this.flushTimer = setInterval(() => {
+            this.flush().catch(error => {
+                logger.error('Storage sink flush failed', { sink: this.name, error: error.message });
+            });
+        }, config.batch.interval);
+
+        return true;
+    }
+
+    /**
+     * Buffer records, flushing once a batch is full
+     * @param {Array<Object>} records
+     */
+    async write(records) {
+        if (!this.opened) {
+            throw new Error(`${this.name} sink is not open`);
+        }
+
+        this.pending.push(...records);
+        if (this.pending.length >= config.batch.size) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * Write everything buffered
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        // One flush at a time, so batches are written in order
+        while (this.flushing) {
+            await this.flushing.catch(() => {});
+        }
+        if (!this.opened || this.pending.length === 0) return;
+
+        const batch = this.pending;
+        this.pending = [];
+
+        this.flushing = (async () => {
+            try {
+                await this.writeBatch(batch);
+                this.written += batch.length;
+                this.lastError = null;
+            } catch (error) {
+                this.lastError = error.message;
+                this.requeue(batch);
+                throw error;
+            }
+        })();
+
+        try {
+            await this.flushing;
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    /**
+     * Put a failed batch back in front of newer records, dropping the oldest over the bound
+     * @param {Array<Object>} batch
+     */
+    requeue(batch) {
+        this.pending = batch.concat(this.pending);
+        const excess = this.pending.length - this.maxPending;
+        if (excess > 0) {
+            this.pending.splice(0, excess);
+            this.dropped += excess;
+            logger.warn('Storage sink buffer full, dropping oldest records', { sink: this.name, dropped: excess });
+        }
+    }
+
+    /**
+     * @returns {Object}
+     */
+    health() {
+        return {
+            connected: this.opened && this.lastError === null,
+            pending: this.pending.length,
+            written: this.written,
+            dropped: this.dropped,
+            lastError: this.lastError,
+        };
+    }
+
+    /**
+     * Stop the timer, write what is left and close the storage
+     */
+    async close() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+
+        try {
+            await this.flush();
+        } finally {
+            this.opened = false;
+            await this.closeStorage();
+        }
+    }
+}
+
+/**
+ * Stores records in a local SQLite database, for edge deployments without InfluxDB
+ *
+ * One row per record with the identity tags as columns and all tags and
+ * fields as JSON, e.g. `json_extract(fields, '$.pm2_5')`.
+ */
+class SqliteSink extends BufferedSink {
+    /**
+     * @param {Object} options - { file, retentionDays }
+     */
+    constructor(options) {
+        super('sqlite');
+        this.file = options.file;
+        this.retentionDays = options.retentionDays;
+        this.db = null;
+        this.lastRetentionCheck = 0;
+    }
+
+    open() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite sink requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                time INTEGER NOT NULL,
+                measurement TEXT NOT NULL,
+                sensor_id TEXT,
+                location TEXT,
+                device_type TEXT,
+                tags TEXT NOT NULL,
+                fields TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS records_series ON records (measurement, sensor_id, time);
+            CREATE INDEX IF NOT EXISTS records_time ON records (time);
+        `);
+
+        const insert = this.db.prepare(`
+            INSERT INTO records (time, measurement, sensor_id, location, device_type, tags, fields)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        this.insertMany = this.db.transaction(records => {
+            for (const record of records) {
+                insert.run(
+                    record.time.getTime(),
+                    record.measurement,
+                    record.tags.sensor_id || null,
+                    record.tags.location || null,
+                    record.tags.device_type || null,
+                    JSON.stringify(record.tags),
+                    JSON.stringify(record.fields)
+                );
+            }
+        });
+        this.deleteBefore = this.db.prepare('DELETE FROM records WHERE time < ?');
+
+        logger.info('SQLite sink opened', { file: this.file, retentionDays: this.retentionDays || null });
+    }
+
+    writeBatch(records) {
+        this.insertMany(records);
+        this.applyRetention();
+    }
+
+    /**
+     * Delete records older than the retention period, at most once an hour
+     */
+    applyRetention() {
+        const now = Date.now();
+        if (!this.retentionDays || now - this.lastRetentionCheck < RETENTION_CHECK_INTERVAL) return;
+        this.lastRetentionCheck = now;
+
+        const { changes } = this.deleteBefore.run(now - this.retentionDays * 86400000);
+        if (changes > 0) {
+            logger.info('SQLite sink removed expired records', { records: changes });
+        }
+    }
+
+    health() {
+        return { ...super.health(), file: this.file };
+    }
+
+    closeStorage() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+/**
+ * Appends records to daily NDJSON files for archival
+ *
+ * Files are named `readings-YYYY-MM-DD.ndjson` by UTC write date; a file that
+ * reaches maxBytes continues in `readings-YYYY-MM-DD.1.ndjson` and so on. Only
+ * the newest maxFiles files are kept.
+ */
+class FileSink extends BufferedSink {
+    /**
+     * @param {Object} options - { dir, maxBytes, maxFiles }
+     */
+    constructor(options) {
+        super('file');
+        this.dir = options.dir;
+        this.maxBytes = options.maxBytes;
+        this.maxFiles = options.maxFiles;
+        this.date = null;
+        this.index = 0;
+        this.size = 0;
+    }
+
+    open() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.selectFile(new Date().toISOString().slice(0, 10));
+        this.prune();
+        logger.info('File sink opened', { dir: this.dir, file: this.fileName() });
+    }
+
+    writeBatch(records) {
+        const text = records.map(record => `${JSON.stringify({
+            time: record.time.toISOString(),
+            measurement: record.measurement,
+            tags: record.tags,
+            fields: record.fields,
+        })}\n`).join('');
+        const bytes = Buffer.byteLength(text);
+
+        const date = new Date().toISOString().slice(0, 10);
+        if (date !== this.date) {
+            this.selectFile(date);
+            this.prune();
+        } else if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            this.index++;
+            this.size = 0;
+            this.prune();
+        }
+
+        fs.appendFileSync(path.join(this.dir, this.fileName()), text);
+        this.size += bytes;
+    }
+
+    /**
+     * Continue in the last file of a date
+     * @param {string} date - YYYY-MM-DD
+     */
+    selectFile(date) {
+        this.date = date;
+        this.index = 0;
+        while (fs.existsSync(path.join(this.dir, this.fileName(this.index + 1)))) {
+            this.index++;
+        }
+
+        const file = path.join(this.dir, this.fileName());
+        this.size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    }
+
+    /**
+     * @param {number} index
+     * @returns {string}
+     */
+    fileName(index = this.index) {
+        return `readings-${this.date}${index > 0 ? `.${index}` : ''}.ndjson`;
+    }
+
+    /**
+     * Delete the oldest archive files beyond maxFiles
+     */
+    prune() {
+        const files = fs.readdirSync(this.dir)
+            .map(name => {
+                const match = /^readings-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.ndjson$/.exec(name);
+                return match ? { name, date: match[1], index: Number(match[2] || 0) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index);
+
+        // The file being written counts even before its first append
+        const current = this.fileName();
+        const total = files.length + (files.some(file => file.name === current) ? 0 : 1);
+
+        for (const file of files.slice(0, Math.max(0, total - this.maxFiles))) {
+            fs.unlinkSync(path.join(this.dir, file.name));
+            logger.info('File sink removed old archive', { file: file.name });
+        }
+    }
+
+    health() {
+        return { ...super.health(), file: path.join(this.dir, this.fileName()) };
+    }
+
+    closeStorage() {}
+}
+
+/**
+ * Create a storage sink by name
+ * @param {string} name - influxdb | sqlite | file
+ * @returns {Object} - Sink with connect(), write(records), flush(), close() and health()
+ */
+function createSink(name) {
+    switch (name) {
+        case 'influxdb':
+            return require('./influxdb-writer');
+        case 'sqlite':
+            return new SqliteSink(config.storage.sqlite);
+        case 'file':
+            return new FileSink(config.storage.file);
+        default:
+            throw new Error(`Unknown storage sink: ${name}`);
+    }
+}
+
+module.exports = {
+    BufferedSink,
+    SqliteSink,
+    FileSink,
+    createSink,
+};
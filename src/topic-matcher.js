@@ -0,0 +1,110 @@
+/**
+ * Matches MQTT topics against configured subscription patterns
+ *
+ * Patterns use regular MQTT wildcards, plus named single-level segments
+ * written as `{name}`. A named segment subscribes as `+` and its value is
+ * returned by match(), e.g. `site/{location}/{sensor_id}/pm` subscribes to
+ * `site/+/+/pm` and yields { location, sensor_id }.
+ */
+class TopicMatcher {
+    /**
+     * @param {Array<string>} patterns - Topic patterns
+     */
+    constructor(patterns) {
+        this.patterns = patterns.map(pattern => this.parsePattern(pattern));
+    }
+
+    /**
+     * Parse a topic pattern into its subscription filter and segments
+     * @param {string} pattern
+     * @returns {Object} - { pattern, filter, segments }
+     */
+    parsePattern(pattern) {
+        const levels = pattern.split('/');
+
+        const segments = levels.map((level, index) => {
+            const named = /^\{([A-Za-z_][A-Za-z0-9_]*)\}$/.exec(level);
+            if (named) {
+                return { type: 'param', name: named[1] };
+            }
+            if (level === '+') {
+                return { type: 'single' };
+            }
+            if (level === '#') {
+                if (index !== levels.length - 1) {
+                    throw new Error(`'#' must be the last level in topic pattern: ${pattern}`);
+                }
+                return { type: 'multi' };
+            }
+            if (level.includes('+') || level.includes('#') || level.includes('{')) {
+                throw new Error(`Invalid topic pattern level '${level}' in ${pattern}`);
+            }
+            return { type: 'literal', value: level };
+        });
+
+        const filter = segments.map((segment, index) => {
+            if (segment.type === 'param' || segment.type === 'single') return '+';
+            if (segment.type === 'multi') return '#';
+            return levels[index];
+        }).join('/');
+
+        return { pattern, filter, segments };
+    }
+
+    /**
+     * Subscription filters for all patterns
+     * @returns {Array<string>}
+     */
+    filters() {
+        return [...new Set(this.patterns.map(p => p.filter))];
+    }
+
+    /**
+     * Match a topic against the configured patterns
+     * @param {string} topic
+     * @returns {Object|null} - { pattern, params } for the first matching pattern
+     */
+    match(topic) {
+        const levels = topic.split('/');
+
+        for (const parsed of this.patterns) {
+            const params = this.matchSegments(parsed.segments, levels);
+            if (params) {
+                return { pattern: parsed.pattern, params };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Match topic levels against pattern segments
+     * @param {Array<Object>} segments
+     * @param {Array<string>} levels
+     * @returns {Object|null} - Named segment values, or null if no match
+     */
+    matchSegments(segments, levels) {
+        const params = {};
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+
+            if (segment.type === 'multi') {
+                return params;
+            }
+            if (i >= levels.length) {
+                return null;
+            }
+            if (segment.type === 'literal' && segment.value !== levels[i]) {
+                return null;
+            }
+            if (segment.type === 'param') {
+                params[segment.name] = levels[i];
+            }
+        }
+
+        return segments.length === levels.length ? params : null;
+    }
+}
+
+module.exports = TopicMatcher;
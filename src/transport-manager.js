@@ -0,0 +1,287 @@
+const EventEmitter = require('events');
+const mqtt = require('mqtt');
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const MQTTClient = require('./mqtt-client');
+const WebSocketClient = require('./websocket-client');
+const { connectionOptions, displayUrl } = require('./mqtt-options');
+
+const HISTORY_SIZE = 20;
+
+/**
+ * Connect to the TCP listener and disconnect again, without subscribing
+ * @param {string} url
+ * @returns {Promise<void>} - Rejects if the broker is unreachable or refuses the connection
+ */
+function probeBroker(url) {
+    const timeout = config.mqtt.options.connectTimeout;
+
+    return new Promise((resolve, reject) => {
+        const client = mqtt.connect(url, connectionOptions(url, {
+            clientId: `iot-monitoring-probe-${config.cluster.instanceId}-${process.pid}`,
+            clean: true,
+            reconnectPeriod: 0,
+        }));
+
+        let settled = false;
+        const settle = (error) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            client.end(true);
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+        const timer = setTimeout(() => settle(new Error(`No CONNACK within ${timeout}ms`)), timeout);
+
+        client.once('connect', () => settle());
+        client.once('error', (error) => settle(error));
+        client.once('close', () => settle(new Error('Connection closed')));
+    });
+}
+
+/**
+ * Selects the data client transport: MQTT over TCP, or MQTT over WebSocket as a fallback
+ *
+ * The state is `<transport>_connecting` until the first connection, `<transport>`
+ * while connected and `<transport>_down` after losing it, for transport `mqtt` or
+ * `websocket`. TCP must stay unavailable for WS_FAILOVER_SECONDS before failing
+ * over. While on WebSocket the TCP listener is probed every WS_PROBE_INTERVAL_SECONDS,
+ * and the client fails back after WS_FAILBACK_PROBES consecutive successful probes,
+ * so a flapping TCP listener does not bounce the client between transports.
+ */
+class TransportManager extends EventEmitter {
+    constructor() {
+        super();
+        this.client = null;
+        this.state = 'stopped';
+        this.since = Date.now();
+        this.transitions = [];
+        this.failoverTimer = null;
+        this.probeTimer = null;
+        this.probing = false;
+        this.probeSuccesses = 0;
+        this.lastProbe = null;
+    }
+
+    get transport() {
+        return this.client ? this.client.transport : null;
+    }
+
+    /**
+     * Validate the fallback settings and connect over TCP
+     * Configuration errors are thrown.
+     */
+    start() {
+        const { enabled, url, failoverAfter, probeInterval, failbackProbes } = config.websocket;
+
+        if (enabled) {
+            if (!['ws:', 'wss:'].includes(new URL(url).protocol)) {
+                throw new Error(`Invalid WS_URL: ${displayUrl(url)} (expected ws:// or wss://)`);
+            }
+            for (const [variable, value, min] of [
+                ['WS_FAILOVER_SECONDS', failoverAfter, 1],
+                ['WS_PROBE_INTERVAL_SECONDS', probeInterval, 1],
+                ['WS_FAILBACK_PROBES', failbackProbes, 1],
+            ]) {
+                if (!(value >= min)) {
+                    throw new Error(`Invalid ${variable}: ${value} (expected at least ${min})`);
+                }
+            }
+        }
+
+        this.activate(new MQTTClient(), 'startup');
+    }
+
+    /**
+     * Make a client the active one and connect it
+     * @param {MQTTClient} client
+     * @param {string} reason - Why it was activated, for the transition log
+     */
+    activate(client, reason) {
+        this.client = client;
+
+        client.on('data', (data, identity, meta) => this.emit('data', data, identity, meta));
+        client.on('rejected', (rejection) => this.emit('rejected', rejection));
+        // Logged by the client, which keeps reconnecting on its own
+        client.on('error', () => {});
+
+        client.on('connected', () => {
+            if (client !== this.client) return;
+            this.emit('connection', client.transport, true);
+            this.transition(client.transport, 'connected');
+        });
+        client.on('disconnected', () => {
+            // 'disconnected' also follows every failed reconnect attempt
+            if (client !== this.client || this.state !== client.transport) return;
+            this.emit('connection', client.transport, false);
+            this.transition(`${client.transport}_down`, 'connection lost');
+        });
+
+        this.transition(`${client.transport}_connecting`, reason);
+        client.connect();
+    }
+
+    /**
+     * Record and log a state change, then arm the timers for the new state
+     * @param {string} state
+     * @param {string} reason
+     */
+    transition(state, reason) {
+        if (state === this.state) return;
+
+        const now = Date.now();
+        const record = { time: new Date(now).toISOString(), from: this.state, to: state, reason };
+        this.transitions.unshift(record);
+        this.transitions.length = Math.min(this.transitions.length, HISTORY_SIZE);
+        this.state = state;
+        this.since = now;
+
+        const degraded = state !== 'mqtt' && state !== 'mqtt_connecting' && state !== 'stopped';
+        logger[degraded ? 'warn' : 'info']('Data transport state changed', { from: record.from, to: state, reason });
+        this.emit('transition', record);
+
+        this.schedule();
+    }
+
+    /**
+     * Arm the failover timer while TCP is unavailable and the probe timer while on WebSocket
+     */
+    schedule() {
+        const { enabled, failoverAfter, probeInterval } = config.websocket;
+
+        if (enabled && (this.state === 'mqtt_connecting' || this.state === 'mqtt_down')) {
+            if (!this.failoverTimer) {
+                this.failoverTimer = setTimeout(() => this.failover(), failoverAfter * 1000);
+            }
+        } else {
+            clearTimeout(this.failoverTimer);
+            this.failoverTimer = null;
+        }
+
+        if (this.transport === 'websocket' && !this.probeTimer) {
+            this.probeTimer = setInterval(() => this.probe(), probeInterval * 1000);
+        }
+    }
+
+    /**
+     * Fall back to WebSocket if TCP has not recovered in the meantime
+     */
+    failover() {
+        this.failoverTimer = null;
+        if (this.state !== 'mqtt_connecting' && this.state !== 'mqtt_down') return;
+        this.switchTo(new WebSocketClient(), `MQTT over TCP unavailable for ${config.websocket.failoverAfter}s`);
+    }
+
+    /**
+     * Probe the TCP listener and fail back after enough consecutive successes
+     */
+    async probe() {
+        if (this.probing) return;
+        this.probing = true;
+
+        const started = Date.now();
+        try {
+            await probeBroker(config.mqtt.url);
+            this.probeSuccesses++;
+            this.lastProbe = { time: new Date(started).toISOString(), ok: true, duration_ms: Date.now() - started };
+        } catch (error) {
+            this.probeSuccesses = 0;
+            this.lastProbe = { time: new Date(started).toISOString(), ok: false, error: error.message };
+        } finally {
+            this.probing = false;
+        }
+
+        logger.debug('MQTT over TCP probe finished', { ...this.lastProbe, successes: this.probeSuccesses });
+
+        // Ignore a probe that finished after a switch or shutdown
+        if (!this.probeTimer) return;
+        if (this.probeSuccesses >= config.websocket.failbackProbes) {
+            this.switchTo(new MQTTClient(), `${this.probeSuccesses} consecutive TCP probes succeeded`);
+        }
+    }
+
+    /**
+     * Replace the active client, closing the previous one first
+     * Only one client is connected at a time, so a fixed MQTT_CLIENT_ID keeps its session.
+     * @param {MQTTClient} client
+     * @param {string} reason
+     */
+    async switchTo(client, reason) {
+        const previous = this.client;
+        this.client = null;
+        this.clearTimers();
+        metrics.transportSwitches.inc({ transport: client.transport });
+
+        if (previous) {
+            await previous.disconnect();
+        }
+        if (this.state === 'stopped') return;
+
+        this.activate(client, reason);
+    }
+
+    /**
+     * Stop the failover and probe timers
+     */
+    clearTimers() {
+        clearTimeout(this.failoverTimer);
+        this.failoverTimer = null;
+        clearInterval(this.probeTimer);
+        this.probeTimer = null;
+        this.probeSuccesses = 0;
+    }
+
+    /**
+     * Check if the active client is connected
+     * @returns {boolean}
+     */
+    connected() {
+        return Boolean(this.client && this.client.connected());
+    }
+
+    /**
+     * Transport summary for health reporting
+     * @returns {Object}
+     */
+    health() {
+        const health = {
+            type: this.transport === 'websocket' ? 'WebSocket' : 'MQTT',
+            connected: this.connected(),
+            state: this.state,
+            since: new Date(this.since).toISOString(),
+            url: this.client ? displayUrl(this.client.url) : null,
+            fallback: config.websocket.enabled,
+        };
+
+        if (this.transport === 'websocket') {
+            health.failback = {
+                successful_probes: this.probeSuccesses,
+                required: config.websocket.failbackProbes,
+                last_probe: this.lastProbe,
+            };
+        }
+        health.transitions = this.transitions;
+        return health;
+    }
+
+    /**
+     * Stop switching and disconnect the active client
+     */
+    async stop() {
+        const client = this.client;
+        this.client = null;
+        this.clearTimers();
+        this.transition('stopped', 'shutdown');
+
+        if (client) {
+            await client.disconnect();
+        }
+    }
+}
+
+module.exports = new TransportManager();
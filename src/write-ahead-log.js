@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const SEGMENT_PATTERN = /^segment-(\d{10})\.log$/;
+
+/**
+ * Disk-backed write-ahead log of InfluxDB line protocol records
+ *
+ * Records are appended to numbered segment files in a directory. The newest
+ * segment is the active one; older segments are read back oldest-first during
+ * replay and deleted once they have been written to InfluxDB.
+ */
+class WriteAheadLog {
+    /**
+     * @param {Object} options - { dir, segmentBytes, maxBytes, overflow }
+     *   overflow: 'drop_oldest' deletes the oldest segment when full,
+     *             'drop_newest' rejects new records when full
+     */
+    constructor(options) {
+        this.dir = options.dir;
+        this.segmentBytes = options.segmentBytes;
+        this.maxBytes = options.maxBytes;
+        this.overflow = options.overflow;
+        this.segments = [];
+        this.droppedRecords = 0;
+
+        if (!['drop_oldest', 'drop_newest'].includes(this.overflow)) {
+            throw new Error(`Invalid WAL overflow policy: ${this.overflow}`);
+        }
+    }
+
+    /**
+     * Create the directory and index existing segments
+     */
+    open() {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        this.segments = fs.readdirSync(this.dir)
+            .map(name => SEGMENT_PATTERN.exec(name))
+            .filter(Boolean)
+            .map(match => {
+                const file = path.join(this.dir, match[0]);
+                let content = fs.readFileSync(file, 'utf8');
+
+                // Terminate a record torn by a crash so the next append starts a new line
+                if (content.length > 0 && !content.endsWith('\n')) {
+                    fs.appendFileSync(file, '\n');
+                    content += '\n';
+                }
+
+                return {
+                    seq: parseInt(match[1], 10),
+                    file,
+                    bytes: Buffer.byteLength(content),
+                    records: this.splitRecords(content).length,
+                };
+            })
+            .sort((a, b) => a.seq - b.seq);
+
+        if (this.segments.length === 0) {
+            this.addSegment(1);
+        }
+
+        if (this.depth() > 0) {
+            logger.info('Write-ahead log recovered pending records', this.stats());
+        }
+    }
+
+    /**
+     * Append records to the active segment
+     * @param {Array<string>} records - Line protocol lines
+     * @returns {number} - Number of records appended
+     */
+    append(records) {
+        if (records.length === 0) return 0;
+
+        const chunk = `${records.join('\n')}\n`;
+        const chunkBytes = Buffer.byteLength(chunk);
+
+        if (!this.makeRoom(chunkBytes)) {
+            this.droppedRecords += records.length;
+            logger.warn('Write-ahead log full, dropping new records', {
+                dropped: records.length,
+                policy: this.overflow,
+            });
+            return 0;
+        }
+
+        let active = this.activeSegment();
+        if (active.bytes > 0 && active.bytes + chunkBytes > this.segmentBytes) {
+            active = this.rotate();
+        }
+
+        fs.appendFileSync(active.file, chunk);
+        active.bytes += chunkBytes;
+        active.records += records.length;
+        return records.length;
+    }
+
+    /**
+     * Apply the overflow policy so that `bytes` more fit under the cap
+     * @param {number} bytes
+     * @returns {boolean} - false if the records must be dropped
+     */
+    makeRoom(bytes) {
+        while (this.sizeBytes() + bytes > this.maxBytes) {
+            if (this.overflow === 'drop_newest') {
+                return false;
+            }
+
+            if (this.segments.length === 1) {
+                if (this.activeSegment().bytes === 0) return bytes <= this.maxBytes;
+                this.rotate();
+            }
+
+            const oldest = this.segments[0];
+            this.droppedRecords += oldest.records;
+            logger.warn('Write-ahead log full, dropping oldest segment', {
+                segment: path.basename(oldest.file),
+                dropped: oldest.records,
+            });
+            this.removeSegment(oldest);
+        }
+        return true;
+    }
+
+    /**
+     * Oldest segment ready for replay, rotating the active one if it is the only one
+     * @returns {Object|null} - { seq, records: Array<string> }
+     */
+    nextReplaySegment() {
+        if (this.depth() === 0) return null;
+
+        if (this.segments.length === 1) {
+            this.rotate();
+        }
+
+        const segment = this.segments[0];
+        const records = this.splitRecords(fs.readFileSync(segment.file, 'utf8'));
+        return { seq: segment.seq, records };
+    }
+
+    /**
+     * Delete a segment after it has been replayed
+     * @param {number} seq
+     */
+    acknowledge(seq) {
+        const segment = this.segments.find(s => s.seq === seq);
+        if (segment && segment !== this.activeSegment()) {
+            this.removeSegment(segment);
+        }
+    }
+
+    /**
+     * Number of records waiting in the log
+     * @returns {number}
+     */
+    depth() {
+        return this.segments.reduce((sum, segment) => sum + segment.records, 0);
+    }
+
+    /**
+     * Total size of all segments
+     * @returns {number}
+     */
+    sizeBytes() {
+        return this.segments.reduce((sum, segment) => sum + segment.bytes, 0);
+    }
+
+    /**
+     * Summary for health reporting
+     * @returns {Object}
+     */
+    stats() {
+        return {
+            depth: this.depth(),
+            bytes: this.sizeBytes(),
+            segments: this.segments.length,
+            maxBytes: this.maxBytes,
+            overflow: this.overflow,
+            droppedRecords: this.droppedRecords,
+        };
+    }
+
+    activeSegment() {
+        return this.segments[this.segments.length - 1];
+    }
+
+    /**
+     * Start a new active segment
+     * @returns {Object}
+     */
+    rotate() {
+        return this.addSegment(this.activeSegment().seq + 1);
+    }
+
+    addSegment(seq) {
+        const segment = {
+            seq,
+            file: path.join(this.dir, `segment-${String(seq).padStart(10, '0')}.log`),
+            bytes: 0,
+            records: 0,
+        };
+        fs.writeFileSync(segment.file, '');
+        this.segments.push(segment);
+        return segment;
+    }
+
+    removeSegment(segment) {
+        fs.rmSync(segment.file, { force: true });
+        this.segments = this.segments.filter(s => s !== segment);
+    }
+
+    splitRecords(content) {
+        return content.split('\n').filter(line => line.length > 0);
+    }
+}
+
+module.exports = WriteAheadLog;
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const mqttPacket = require('mqtt-packet');
+const config = require('../src/config');
+const { createNotifier } = require('../src/alert-notifiers');
+
+/**
+ * Minimal MQTT 3.1.1 broker that acknowledges connections and records publishes
+ * @returns {Promise<Object>} - { url, published, close() }
+ */
+function startBroker() {
+    const published = [];
+    const sockets = new Set();
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+
+        const parser = mqttPacket.parser({ protocolVersion: 4 });
+        const reply = (packet) => socket.write(mqttPacket.generate(packet, { protocolVersion: 4 }));
+
+        parser.on('packet', (packet) => {
+            switch (packet.cmd) {
+                case 'connect':
+                    reply({ cmd: 'connack', returnCode: 0, sessionPresent: false });
+                    break;
+                case 'publish':
+                    published.push(packet);
+                    if (packet.qos === 1) reply({ cmd: 'puback', messageId: packet.messageId });
+                    break;
+                case 'pingreq':
+                    reply({ cmd: 'pingresp' });
+                    break;
+                case 'disconnect':
+                    socket.end();
+                    break;
+            }
+        });
+        socket.on('data', (chunk) => parser.parse(chunk));
+        socket.on('error', () => {});
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `mqtt://127.0.0.1:${server.address().port}`,
+            published,
+            close: () => new Promise((done) => {
+                for (const socket of sockets) socket.destroy();
+                server.close(done);
+            }),
+        }));
+    });
+}
+
+test('the mqtt channel publishes alerts to the rendered topic', async (t) => {
+    const broker = await startBroker();
+    t.after(() => broker.close());
+
+    const notifier = createNotifier('mqtt', { url: broker.url, topic: 'alerts/{sensor_id}/{rule_id}' });
+    t.after(() => notifier.close());
+
+    const alert = { rule_id: 'pm25-high', sensor_id: 'sensor-001', value: 80 };
+    await notifier.send(alert);
+
+    assert.equal(broker.published.length, 1);
+    assert.equal(broker.published[0].topic, 'alerts/sensor-001/pm25-high');
+    assert.equal(broker.published[0].qos, 1);
+    assert.deepEqual(JSON.parse(broker.published[0].payload.toString()), alert);
+});
+
+test('a channel on another broker uses its own credentials, not the ingest ones', (t) => {
+    const { username, password } = config.mqtt;
+    t.after(() => Object.assign(config.mqtt, { username, password }));
+    Object.assign(config.mqtt, { username: 'ingest', password: 'ingest-secret' });
+
+    const ingest = createNotifier('mqtt', {});
+    assert.equal(ingest.connection.username, 'ingest');
+
+    const other = createNotifier('mqtt', { url: 'mqtt://alerts.example' });
+    assert.equal(other.connection.username, undefined);
+    assert.equal(other.connection.password, undefined);
+
+    const own = createNotifier('mqtt', { url: 'mqtt://alerts.example', username: 'alerts', password: 'secret' });
+    assert.equal(own.connection.username, 'alerts');
+    assert.equal(own.connection.password, 'secret');
+});
+
+test('a channel rejects tls without a url', () => {
+    assert.throws(() => createNotifier('mqtt', { tls: { ca: '/certs/ca.pem' } }), /Alert MQTT channel: tls requires a url/);
+});
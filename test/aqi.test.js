@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const logger = require('../src/logger');
+const aqiCalculator = require('../src/aqi');
+
+test('validate accepts the built-in standards', () => {
+    config.aqi.standards = ['us_epa', 'th_pcd'];
+    assert.doesNotThrow(() => aqiCalculator.validate());
+});
+
+test('validate rejects unknown standard IDs once', () => {
+    config.aqi.standards = ['us_epa', 'us-epa'];
+    assert.throws(() => aqiCalculator.validate(), /Unknown AQI standard: us-epa/);
+});
+
+test('calculateAll skips unknown standards without logging', (t) => {
+    config.aqi.standards = ['us_epa', 'bogus'];
+    const warn = t.mock.method(logger, 'warn');
+
+    const results = aqiCalculator.calculateAll({ pm2_5: 12, pm10: 40 });
+
+    assert.deepEqual(results.map(result => result.standard), ['us_epa']);
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+/**
+ * Assert the index and category at each concentration
+ * @param {string} standard
+ * @param {string} field
+ * @param {Array<Array>} cases - [concentration, index, category]
+ */
+function assertBreakpoints(standard, field, cases) {
+    for (const [concentration, index, category] of cases) {
+        const result = aqiCalculator.calculate({ [field]: concentration }, standard);
+        assert.deepEqual(
+            { index: result.aqi, category: result.category },
+            { index, category },
+            `${standard} ${field} ${concentration}`
+        );
+    }
+}
+
+test('US EPA PM2.5 breakpoints (2024 revision)', () => {
+    assertBreakpoints('us_epa', 'pm2_5', [
+        [0.0, 0, 'Good'],
+        [9.0, 50, 'Good'],
+        [9.05, 50, 'Good'],
+        [9.1, 51, 'Moderate'],
+        [35.4, 100, 'Moderate'],
+        [35.5, 101, 'Unhealthy for Sensitive Groups'],
+        [55.4, 150, 'Unhealthy for Sensitive Groups'],
+        [55.5, 151, 'Unhealthy'],
+        [125.4, 200, 'Unhealthy'],
+        [125.5, 201, 'Very Unhealthy'],
+        [225.4, 300, 'Very Unhealthy'],
+        [225.5, 301, 'Hazardous'],
+        [325.4, 500, 'Hazardous'],
+    ]);
+});
+
+test('US EPA PM10 breakpoints', () => {
+    assertBreakpoints('us_epa', 'pm10', [
+        [54, 50, 'Good'],
+        [55, 51, 'Moderate'],
+        [154, 100, 'Moderate'],
+        [155, 101, 'Unhealthy for Sensitive Groups'],
+        [254, 150, 'Unhealthy for Sensitive Groups'],
+        [255, 151, 'Unhealthy'],
+        [354, 200, 'Unhealthy'],
+        [355, 201, 'Very Unhealthy'],
+        [424, 300, 'Very Unhealthy'],
+        [425, 301, 'Hazardous'],
+        [604, 500, 'Hazardous'],
+    ]);
+});
+
+test('Thailand PCD PM2.5 breakpoints (2023 revision)', () => {
+    assertBreakpoints('th_pcd', 'pm2_5', [
+        [0.0, 0, 'Very Good'],
+        [15.0, 25, 'Very Good'],
+        [15.1, 26, 'Good'],
+        [25.0, 50, 'Good'],
+        [25.1, 51, 'Moderate'],
+        [37.5, 100, 'Moderate'],
+        [37.6, 101, 'Starting to Affect Health'],
+        [75.0, 200, 'Starting to Affect Health'],
+        [75.1, 201, 'Affecting Health'],
+        // Open-ended top band, extrapolated with the slope 99 / 37.4 of the band below
+        [100, 267, 'Affecting Health'],
+    ]);
+});
+
+test('Thailand PCD PM10 breakpoints', () => {
+    assertBreakpoints('th_pcd', 'pm10', [
+        [50, 25, 'Very Good'],
+        [51, 26, 'Good'],
+        [80, 50, 'Good'],
+        [81, 51, 'Moderate'],
+        [120, 100, 'Moderate'],
+        [121, 101, 'Starting to Affect Health'],
+        [180, 200, 'Starting to Affect Health'],
+        [181, 201, 'Affecting Health'],
+    ]);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileLease } = require('../src/cluster-coordinator');
+
+const TTL = 30000;
+
+function leaseFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lease-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'leader.lease');
+}
+
+test('a missing lease is claimed and others see it', (t) => {
+    const file = leaseFile(t);
+    const a = new FileLease(file, 'a', TTL);
+    const b = new FileLease(file, 'b', TTL);
+
+    assert.deepEqual(a.refresh(1000), { holder: 'a', epoch: 1, expires_at: 1000 + TTL, acquired_at: 1000 });
+    assert.equal(b.refresh(2000).holder, 'a');
+    assert.ok(fs.existsSync(`${file}.1`));
+});
+
+test('the holder renews in place while more than a refresh interval is left', (t) => {
+    const file = leaseFile(t);
+    const a = new FileLease(file, 'a', TTL);
+
+    a.refresh(0);
+    const renewed = a.refresh(a.interval);
+
+    assert.equal(renewed.epoch, 1);
+    assert.equal(renewed.expires_at, a.interval + TTL);
+    assert.ok(!fs.existsSync(`${file}.2`));
+});
+
+test('a late renewal claims the next epoch instead', (t) => {
+    const file = leaseFile(t);
+    const a = new FileLease(file, 'a', TTL);
+
+    a.refresh(0);
+    const now = TTL - a.interval + 1;
+    const renewed = a.refresh(now);
+
+    assert.deepEqual(renewed, { holder: 'a', epoch: 2, expires_at: now + TTL, acquired_at: 0 });
+    assert.ok(fs.existsSync(`${file}.2`));
+});
+
+test('a late renewal does not overwrite a lease another instance claimed', (t) => {
+    const file = leaseFile(t);
+    const a = new FileLease(file, 'a', TTL);
+    const b = new FileLease(file, 'b', TTL);
+
+    a.refresh(0);
+    assert.equal(b.refresh(TTL + 1).holder, 'b');
+
+    // a's timer fires late, after b took over
+    const lease = a.refresh(TTL + 2);
+    assert.equal(lease.holder, 'b');
+    assert.equal(lease.epoch, 2);
+});
+
+test('a claim lost after the rename is not reported and its marker is removed', (t) => {
+    const file = leaseFile(t);
+    const a = new FileLease(file, 'a', TTL);
+    const rename = fs.renameSync;
+
+    a.refresh(0);
+    // Another instance replaces the lease right after a's rename
+    t.mock.method(fs, 'renameSync', (from, to) => {
+        rename(from, to);
+        fs.writeFileSync(file, JSON.stringify({ holder: 'b', epoch: 1, expires_at: 2 * TTL + 1 }));
+    });
+
+    const lease = a.refresh(TTL + 1);
+
+    assert.equal(lease.holder, 'b');
+    assert.ok(!fs.existsSync(`${file}.2`));
+});
+
+test('a marker left by a crashed claim is cleared after one TTL', (t) => {
+    const file = leaseFile(t);
+    const a = new FileLease(file, 'a', TTL);
+
+    fs.writeFileSync(`${file}.1`, 'crashed');
+    assert.equal(a.refresh(Date.now()), null);
+    assert.ok(fs.existsSync(`${file}.1`));
+
+    assert.equal(a.refresh(Date.now() + TTL + 1000), null);
+    assert.equal(a.refresh(Date.now() + TTL + 1000).holder, 'a');
+});
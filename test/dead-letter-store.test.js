@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const dataValidator = require('../src/data-validator');
+const messagePipeline = require('../src/message-pipeline');
+const deadLetterStore = require('../src/dead-letter-store');
+const { Router } = require('../src/http-router');
+
+/**
+ * Route a request and capture the JSON response
+ * @param {Router} router
+ * @param {string} method
+ * @param {string} url
+ * @param {string} body - Raw request body
+ * @returns {Promise<Object>} - { status, body }
+ */
+function request(router, method, url, body = '') {
+    return new Promise((resolve) => {
+        const req = Object.assign(Readable.from(body ? [Buffer.from(body)] : []), { method, url, headers: { host: 'localhost' } });
+        const res = {
+            headersSent: false,
+            writeHead(status) {
+                this.status = status;
+                this.headersSent = true;
+            },
+            setHeader() {},
+            end(response) {
+                resolve({ status: this.status, body: JSON.parse(response) });
+            },
+        };
+        router.handle(req, res);
+    });
+}
+
+function get(router, url) {
+    return request(router, 'GET', url);
+}
+
+function routerWithEntries(count) {
+    deadLetterStore.entries = Array.from({ length: count }, (_, index) => ({
+        id: `dl-${index}`,
+        receivedAt: new Date(Date.UTC(2025, 0, 1, 0, index)).toISOString(),
+        transport: 'mqtt',
+        topic: 'sensor/data',
+        payload: '{}',
+        reasons: ['parse_error'],
+        errors: ['Payload could not be decoded'],
+        identity: null,
+    }));
+    const router = new Router();
+    deadLetterStore.register(router, async () => {});
+    return router;
+}
+
+test('pages through dead letters with limit and offset', async () => {
+    const router = routerWithEntries(5);
+    const { status, body } = await get(router, '/api/v1/dead-letters?limit=2&offset=2');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 2);
+    assert.deepEqual(body.pagination, { limit: 2, offset: 2, total: 5, hasMore: true });
+});
+
+for (const offset of ['-1', 'abc', '1.5']) {
+    test(`rejects offset=${offset} with 400`, async () => {
+        const router = routerWithEntries(5);
+        const { status, body } = await get(router, `/api/v1/dead-letters?offset=${offset}`);
+
+        assert.equal(status, 400);
+        assert.equal(body.error.details.parameter, 'offset');
+    });
+}
+
+test('rejects a limit below 1 with 400', async () => {
+    const router = routerWithEntries(5);
+    const { status, body } = await get(router, '/api/v1/dead-letters?limit=-3');
+
+    assert.equal(status, 400);
+    assert.equal(body.error.details.parameter, 'limit');
+});
+
+test('compacts the file once it holds twice maxEntries lines', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letters-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const { file, maxEntries } = deadLetterStore;
+    t.after(() => Object.assign(deadLetterStore, { file, maxEntries }));
+
+    Object.assign(deadLetterStore, { file: path.join(dir, 'dead-letters.ndjson'), maxEntries: 3, entries: [], fileLines: 0 });
+    const compact = t.mock.method(deadLetterStore, 'compact');
+    const rejection = { transport: 'mqtt', payload: 'x', stage: 'decode', errors: [], reasons: ['parse_error'] };
+
+    for (let i = 0; i < 6; i++) deadLetterStore.add(rejection);
+    assert.equal(compact.mock.callCount(), 0);
+
+    deadLetterStore.add(rejection);
+    assert.equal(compact.mock.callCount(), 1);
+    assert.equal(fs.readFileSync(deadLetterStore.file, 'utf8').trim().split('\n').length, 3);
+
+    for (let i = 0; i < 3; i++) deadLetterStore.add(rejection);
+    assert.equal(compact.mock.callCount(), 1);
+});
+
+for (const body of ['null', '42', '"ids"', '[]', '{"filter": "out_of_range"}', '{}']) {
+    test(`rejects a replay body of ${body} with 400`, async () => {
+        const router = routerWithEntries(1);
+        const { status, body: response } = await request(router, 'POST', '/api/v1/dead-letters/replay', body);
+
+        assert.equal(status, 400);
+        assert.match(response.error.message, /ids \(array\) or filter \(object\)/);
+    });
+}
+
+test('replays only the rejected reading of a partly accepted payload', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letters-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const { file } = deadLetterStore;
+    t.after(() => { deadLetterStore.file = file; });
+    Object.assign(deadLetterStore, { file: path.join(dir, 'dead-letters.ndjson'), entries: [], fileLines: 0 });
+
+    const reading = (sensorId) => ({ sensor_id: sensorId, temperature: 25, humidity: 50, pm1: 8, pm2_5: 12, pm10: 20 });
+    const payload = JSON.stringify([reading('s1'), reading('s2')]);
+
+    // s2 fails validation on arrival, e.g. under a since-fixed schema
+    const validate = dataValidator.validate.bind(dataValidator);
+    const mock = t.mock.method(dataValidator, 'validate', (data, deviceType) => (data.sensor_id === 's2'
+        ? { valid: false, data: null, errors: ['out of range'], reasons: ['out_of_range'] }
+        : validate(data, deviceType)));
+    const result = messagePipeline.process({ transport: 'mqtt', topic: 'sensor/data', payload });
+    mock.mock.restore();
+
+    assert.equal(result.accepted.length, 1);
+    const entry = deadLetterStore.add({ transport: 'mqtt', topic: 'sensor/data', payload, ...result.rejected[0] });
+    assert.deepEqual(entry.reading, reading('s2'));
+
+    const replayed = [];
+    const summary = await deadLetterStore.replay([entry], async (data, identity) => replayed.push(identity.sensor_id));
+
+    assert.equal(summary.accepted, 1);
+    assert.deepEqual(replayed, ['s2']);
+});
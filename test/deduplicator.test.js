@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const deduplicator = require('../src/deduplicator');
+
+const DEVICE = { sensor_id: 'sensor-001' };
+
+function fresh() {
+    deduplicator.seen.clear();
+    deduplicator.sequences.clear();
+}
+
+function isDuplicate(raw, identity = DEVICE) {
+    return deduplicator.isDuplicate(identity, deduplicator.describe(raw), 1000);
+}
+
+test('readings with the same device timestamp or message ID are duplicates', () => {
+    fresh();
+    assert.equal(isDuplicate({ pm2_5: 12, timestamp: 1765508816 }), false);
+    assert.equal(isDuplicate({ pm2_5: 13, timestamp: '2025-12-12T03:06:56Z' }), true);
+    assert.equal(isDuplicate({ pm2_5: 12, message_id: 'a1' }), false);
+    assert.equal(isDuplicate({ pm2_5: 12, message_id: 'a1' }), true);
+    assert.equal(isDuplicate({ pm2_5: 12, message_id: 'a1' }, { sensor_id: 'sensor-002' }), false);
+});
+
+test('readings without identifying fields are never dropped', () => {
+    fresh();
+    assert.equal(isDuplicate({ pm2_5: 12, pm10: 20 }), false);
+    assert.equal(isDuplicate({ pm2_5: 12, pm10: 20 }), false);
+    assert.equal(deduplicator.seen.size, 0);
+});
+
+test('a sequence number without a timestamp or session is not a key', () => {
+    fresh();
+    assert.equal(isDuplicate({ pm2_5: 12, seq: 1 }), false);
+    // Rebooted: the counter starts over
+    assert.equal(isDuplicate({ pm2_5: 12, seq: 1 }), false);
+});
+
+test('a sequence number is unique within a boot session', () => {
+    fresh();
+    assert.equal(isDuplicate({ pm2_5: 12, seq: 7, boot_id: 'b1' }), false);
+    assert.equal(isDuplicate({ pm2_5: 12, seq: 7, boot_id: 'b1' }), true);
+    assert.equal(isDuplicate({ pm2_5: 12, seq: 7, boot_id: 'b2' }), false);
+    assert.equal(isDuplicate({ pm2_5: 12, seq: 8, boot_id: 'b2' }), false);
+});
+
+test('a session ID alone does not make readings duplicates', () => {
+    fresh();
+    assert.equal(isDuplicate({ pm2_5: 12, boot_id: 'b1' }), false);
+    assert.equal(isDuplicate({ pm2_5: 13, boot_id: 'b1' }), false);
+});
+
+test('readings are written at the device timestamp by default', () => {
+    const now = Date.parse('2025-12-12T03:07:00Z');
+    const meta = deduplicator.describe({ timestamp: '2025-12-12T03:06:56Z' });
+
+    assert.equal(config.dedup.deviceTime, true);
+    assert.equal(deduplicator.writeTime(meta, now).toISOString(), '2025-12-12T03:06:56.000Z');
+    assert.equal(deduplicator.writeTime(meta, now + 3600 * 1000).getTime(), now + 3600 * 1000);
+    assert.equal(deduplicator.writeTime(deduplicator.describe({}), now).getTime(), now);
+});
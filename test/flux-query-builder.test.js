@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FluxQueryBuilder,
+    QueryValidationError,
+    fluxString,
+    validateDuration,
+    validateTime,
+} = require('../src/flux-query-builder');
+
+const FIELDS = ['temperature', 'humidity', 'pm2_5'];
+const TAGS = ['sensor_id', 'location', 'device_type', 'source', 'quality'];
+
+function builder() {
+    return new FluxQueryBuilder('sensor_data', { fields: FIELDS, tags: TAGS });
+}
+
+function assertRejects(fn, parameter) {
+    assert.throws(fn, (error) => {
+        assert.ok(error instanceof QueryValidationError);
+        assert.equal(error.parameter, parameter);
+        return true;
+    });
+}
+
+test('range with a relative start', () => {
+    assert.equal(
+        builder().range('-1h').build(),
+        'from(bucket: "sensor_data")\n  |> range(start: -1h)'
+    );
+});
+
+test('range with RFC3339 start and stop', () => {
+    assert.equal(
+        builder().range('2025-01-01T00:00:00Z', '2025-01-02T00:00:00.5+07:00').build(),
+        'from(bucket: "sensor_data")\n  |> range(start: 2025-01-01T00:00:00Z, stop: 2025-01-02T00:00:00.5+07:00)'
+    );
+});
+
+test('range with a Date', () => {
+    const query = builder().range(new Date(Date.UTC(2025, 0, 1))).build();
+    assert.match(query, /range\(start: 2025-01-01T00:00:00\.000Z\)$/);
+});
+
+test('a query without a range is rejected', () => {
+    assertRejects(() => builder().measurement('environmental_sensors').build(), 'start');
+});
+
+test('tag filters are OR-ed and escaped', () => {
+    const query = builder().range('-1h').tag('sensor_id', ['a', 'b']).tag('location', 'lab').build();
+    assert.equal(query, [
+        'from(bucket: "sensor_data")',
+        '  |> range(start: -1h)',
+        '  |> filter(fn: (r) => r.sensor_id == "a" or r.sensor_id == "b")',
+        '  |> filter(fn: (r) => r.location == "lab")',
+    ].join('\n'));
+});
+
+test('an empty tag list adds no filter', () => {
+    assert.equal(builder().range('-1h').tag('sensor_id', []).build(), builder().range('-1h').build());
+});
+
+test('tags outside the whitelist are rejected', () => {
+    assertRejects(() => builder().tag('host', ['x']), 'tag');
+});
+
+test('fields are filtered and whitelisted', () => {
+    assert.match(
+        builder().range('-1h').fields(['temperature', 'pm2_5']).build(),
+        /filter\(fn: \(r\) => r\._field == "temperature" or r\._field == "pm2_5"\)$/
+    );
+    assertRejects(() => builder().fields(['pressure']), 'field');
+});
+
+test('measurement filter', () => {
+    assert.match(
+        builder().range('-1h').measurement('environmental_sensors').build(),
+        /filter\(fn: \(r\) => r\._measurement == "environmental_sensors"\)$/
+    );
+});
+
+test('aggregateWindow with options', () => {
+    const query = builder()
+        .range('-1d')
+        .aggregateWindow('1h', 'max', { offset: '7h', timeSrc: '_start', createEmpty: true })
+        .build();
+    assert.match(query, /aggregateWindow\(every: 1h, fn: max, createEmpty: true, offset: 7h, timeSrc: "_start"\)$/);
+});
+
+test('aggregateWindow defaults to mean without empty windows', () => {
+    assert.match(builder().range('-1d').aggregateWindow('5m').build(), /aggregateWindow\(every: 5m, fn: mean, createEmpty: false\)$/);
+});
+
+test('aggregateWindow rejects bad windows, functions and options', () => {
+    assertRejects(() => builder().aggregateWindow('-5m'), 'window');
+    assertRejects(() => builder().aggregateWindow('5 minutes'), 'window');
+    assertRejects(() => builder().aggregateWindow('5m', 'mean) |> drop(columns: ["x"]'), 'fn');
+    assertRejects(() => builder().aggregateWindow('5m', 'mean', { offset: '1h) |> yield(' }), 'offset');
+    assertRejects(() => builder().aggregateWindow('5m', 'mean', { timeSrc: '_time' }), 'timeSrc');
+});
+
+test('pivot, group, sort, last and limit', () => {
+    const query = builder()
+        .range('-1h')
+        .group(['sensor_id', '_field'])
+        .pivot()
+        .group()
+        .sort(['_time'], true)
+        .last('_time')
+        .limit(10, 20)
+        .build();
+    assert.equal(query, [
+        'from(bucket: "sensor_data")',
+        '  |> range(start: -1h)',
+        '  |> group(columns: ["sensor_id", "_field"])',
+        '  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")',
+        '  |> group()',
+        '  |> sort(columns: ["_time"], desc: true)',
+        '  |> last(column: "_time")',
+        '  |> limit(n: 10, offset: 20)',
+    ].join('\n'));
+});
+
+test('limit without offset, and invalid limits', () => {
+    assert.match(builder().range('-1h').limit(5).build(), /limit\(n: 5\)$/);
+    assertRejects(() => builder().limit(0), 'limit');
+    assertRejects(() => builder().limit(1.5), 'limit');
+    assertRejects(() => builder().limit('10'), 'limit');
+    assertRejects(() => builder().limit(10, -1), 'offset');
+});
+
+test('sort and group columns must be known', () => {
+    assert.match(builder().range('-1h').sort(['temperature']).build(), /sort\(columns: \["temperature"\], desc: false\)$/);
+    assertRejects(() => builder().sort(['_time"], desc: true) |> drop(columns: ["x']), 'tag');
+    assertRejects(() => builder().group(['unknown']), 'tag');
+});
+
+test('tag values cannot break out of the string literal', () => {
+    const query = builder().range('-1h').tag('sensor_id', 'a" or true or r.x == "${secret}\\').build();
+    assert.match(query, /r\.sensor_id == "a\\" or true or r\.x == \\"\\\$\{secret}\\\\"\)$/);
+});
+
+test('identifiers with injection attempts are rejected', () => {
+    assertRejects(() => builder().where('sensor_id == "x" or r.a', ['b']), 'column');
+    assertRejects(() => builder().fields(['temperature or true']), 'field');
+    assertRejects(() => new FluxQueryBuilder('b').tag('x)', ['y']), 'tag');
+});
+
+test('durations and times with injection attempts are rejected', () => {
+    assertRejects(() => builder().range('-1h) |> drop(columns: ["_value"]'), 'start');
+    assertRejects(() => builder().range('-1h', 'now()'), 'stop');
+    assertRejects(() => builder().range('2025-01-01T00:00:00Z) |> yield(name: "x"'), 'start');
+    assertRejects(() => builder().range('2025-01-01'), 'start');
+    assertRejects(() => builder().range('2025-13-45T00:00:00Z'), 'start');
+    assertRejects(() => builder().range(new Date('invalid')), 'start');
+    assertRejects(() => validateDuration('1h\n|> yield()', 'window'), 'window');
+});
+
+test('validators accept valid literals', () => {
+    assert.equal(validateDuration('1h30m'), '1h30m');
+    assert.equal(validateTime('-7d'), '-7d');
+    assert.equal(validateTime('2025-06-01T12:00:00.123456789-03:00'), '2025-06-01T12:00:00.123456789-03:00');
+});
+
+test('fluxString escapes quotes, backslashes, interpolation and control characters', () => {
+    assert.equal(fluxString('a"b\\c${d}\ne\rf\tg'), '"a\\"b\\\\c\\${d}\\ne\\rf\\tg"');
+    assert.equal(fluxString(42), '"42"');
+});
+
+test('the bucket name is escaped', () => {
+    assert.match(new FluxQueryBuilder('x") |> drop(').range('-1h').build(), /^from\(bucket: "x\\"\) \|> drop\("\)/);
+});